@@ -6,15 +6,26 @@
 importScripts(
   "lib/v5/utils.js",
   "lib/v5/schema.js",
+  "lib/v5/vault.js",
   "lib/v5/temporalKG.js",
   "lib/v5/memory.js",
   "lib/v5/consolidator.js",
+  "lib/v5/consent.js",
+  "lib/v5/policy.js",
+  "lib/v5/persona.js",
+  "lib/v5/optionMatcher.js",
+  "lib/v5/aliasPacks.js",
   "lib/v5/fieldMapper.js",
+  "lib/v5/schemaPromoter.js",
   "lib/v5/router.js",
   "lib/v5/retriever.js",
   "lib/v5/inferenceEngine.js",
   "lib/v5/compositionalResolver.js",
   "lib/v5/llmClient.js",
+  "lib/v5/budget.js",
+  "lib/v5/redactor.js",
+  "lib/v5/llmCache.js",
+  "lib/v5/generationValidator.js",
   "lib/v5/narrator.js",
   "lib/v5/ocr.js",
   "lib/v5/storage.js",
@@ -28,20 +39,35 @@ let _agent = null;
 let _apiKey = "";
 let _initialised = false;
 
+// ── LLM provider from settings ──────────────────────────────────────────────
+// Sync storage keys: llmProvider ("mistral" | "openai" | "mock"), apiKey,
+// llmModel (legacy: mistralModel), llmEndpoint (OpenAI-compatible base URL).
+
+const LLM_CONFIG_KEYS = ["llmProvider", "apiKey", "llmModel", "mistralModel", "llmEndpoint"];
+
+function createLLM(cfg = {}) {
+  const { createLLMClient } = globalThis.AutoFillGraphV5;
+  return createLLMClient({
+    provider: cfg.llmProvider || "mistral",
+    apiKey:   cfg.apiKey || "",
+    model:    cfg.llmModel || cfg.mistralModel || "",
+    endpoint: cfg.llmEndpoint || ""
+  });
+}
+
 // ── Initialise / restore agent from Chrome storage ───────────────────────────
 
 async function ensureAgent() {
   if (_initialised && _agent) return _agent;
 
-  // Load API key from sync storage
-  const cfg = await chrome.storage.sync.get(["apiKey", "mistralModel"]).catch(() => ({}));
+  // Load LLM provider settings from sync storage
+  const cfg = await chrome.storage.sync.get(LLM_CONFIG_KEYS).catch(() => ({}));
   _apiKey = cfg.apiKey || "";
 
   // Create agent
   const { AutoFillAgentV5 } = globalThis.AutoFillGraphV5;
-  const { MistralClient }   = globalThis.AutoFillGraphV5;
 
-  const llm = new MistralClient({ apiKey: _apiKey, model: cfg.mistralModel || "mistral-small-latest" });
+  const llm = createLLM(cfg);
 
   // Try loading persisted data
   const { StorageManager } = globalThis.AutoFillGraphV5;
@@ -66,7 +92,28 @@ async function persistAgent() {
   if (!_agent) return;
   const { StorageManager } = globalThis.AutoFillGraphV5;
   const storage = new StorageManager();
-  await storage.save(_agent.serialize()).catch(err => console.warn("[AFG-v5] persist failed:", err));
+  await storage.save(await _agent.serialize()).catch(err => console.warn("[AFG-v5] persist failed:", err));
+}
+
+// ── Vault session ───────────────────────────────────────────────────────────
+// The derived key only lives in this worker's memory: it is dropped on LOCK,
+// after VAULT_IDLE_MS without a re-unlock, or whenever the worker is evicted.
+
+const VAULT_IDLE_MS = 15 * 60 * 1000;
+let _vaultTimer = null;
+
+function _armVaultTimer() {
+  clearTimeout(_vaultTimer);
+  _vaultTimer = setTimeout(() => {
+    lockVault().catch(err => console.warn("[AFG-v5] auto-lock failed:", err));
+  }, VAULT_IDLE_MS);
+}
+
+async function lockVault() {
+  clearTimeout(_vaultTimer);
+  if (!_agent) return;
+  await _agent.lock();
+  await persistAgent();
 }
 
 // ── Message handler ─────────────────────────────────────────────────────────
@@ -86,45 +133,314 @@ async function handleMessage(msg) {
 
     // ── Learn from filled form ───────────────────────────────────────────
     case "LEARN": {
-      const result = agent.learn(msg.form, msg.context || "human");
+      const rule = agent.policy.resolve(msg.origin);
+      if (rule.neverLearn) {
+        return { ok: false, blocked: true, reason: "policy_never_learn", learned: [], inferred: [] };
+      }
+      const result = agent.learn(msg.form, msg.context || "human", {
+        repeats: msg.repeats || [], subject: msg.subject,
+        persona: msg.persona || rule.persona, lang: msg.lang || null, origin: msg.origin || null
+      });
+      await persistAgent();
+      return { ok: true, ...result };
+    }
+
+    // ── Learn-on-submit offers from the content script ──────────────────
+    // The submitted values are parked in session storage so the prompt can
+    // survive the navigation a classic form submit triggers.  Values that
+    // are RESTRICTED / ENCRYPTED (by mapped property or by redaction
+    // pattern) never go there: they stay in this worker's memory and are
+    // lost, not learned, if the worker is evicted before the user answers.
+    case "OFFER_LEARN": {
+      const rule = agent.policy.resolve(msg.origin);
+      if (rule.neverLearn) return { ok: false, blocked: true };
+      const { plain, sensitive } = _splitSensitive(agent, msg.form || {}, msg.origin, msg.lang);
+      const offer = {
+        id: `offer_${Date.now().toString(36)}`, form: plain,
+        count: Object.keys(plain).length + Object.keys(sensitive).length,
+        origin: msg.origin, domain: rule.domain || msg.domain || "general",
+        persona: rule.persona || null, lang: msg.lang || null, at: Date.now()
+      };
+      _pendingSensitive = { offerId: offer.id, form: sensitive };
+      await chrome.storage.session.set({ [PENDING_LEARN_KEY]: offer }).catch(() => {});
+      return { ok: true, offerId: offer.id, count: offer.count };
+    }
+
+    case "GET_PENDING_LEARN": {
+      const offer = await _pendingLearn();
+      if (!offer || offer.origin !== msg.origin) return { ok: true, offer: null };
+      return { ok: true, offer: { id: offer.id, count: offer.count } };
+    }
+
+    case "RESOLVE_LEARN": {
+      const offer = await _pendingLearn();
+      if (!offer || offer.id !== msg.offerId) return { ok: false, error: "No pending offer" };
+      await chrome.storage.session.remove(PENDING_LEARN_KEY).catch(() => {});
+      if (_pendingSensitive?.offerId === offer.id) offer.form = { ...offer.form, ..._pendingSensitive.form };
+      _pendingSensitive = null;
+      if (msg.decision === "never") {
+        agent.policy.update(offer.origin, { neverLearn: true });
+        await persistAgent();
+        return { ok: true, learned: [], inferred: [] };
+      }
+      if (msg.decision !== "save") return { ok: true, learned: [], inferred: [] };
+      if (agent.policy.resolve(offer.origin).neverLearn) return { ok: false, blocked: true };
+      const result = agent.learn(offer.form, `form_submit:${offer.domain}@${offer.origin}`, {
+        persona: offer.persona, lang: offer.lang, origin: offer.origin
+      });
       await persistAgent();
       return { ok: true, ...result };
     }
 
     // ── Autofill a list of fields ────────────────────────────────────────
     case "AUTOFILL": {
-      const episode = await agent.autofill(msg.fields, msg.domain || "general", msg.useLlm !== false);
+      const { Schema } = globalThis.AutoFillGraphV5;
+      const rule = agent.policy.resolve(msg.origin);
+      if (rule.neverFill) {
+        return { ok: false, blocked: true, reason: "policy_never_fill", filled: {}, meta: {} };
+      }
+      const calls0 = agent.llm.calls, hits0 = agent.cache.hits;
+      const episode = await agent.autofill(
+        msg.fields, rule.domain || msg.domain || "general", msg.useLlm !== false,
+        {
+          origin: msg.origin, maxSensitivity: rule.maxSensitivity,
+          choices: msg.choices, subject: msg.subject,
+          persona: msg.persona || rule.persona, lang: msg.lang || null
+        }
+      );
       const filled  = {};
       const meta    = {};
       for (const [field, result] of Object.entries(episode.results)) {
         filled[field] = result.value;
-        meta[field]   = result.toJSON();
+        meta[field]   = {
+          ...result.toJSON(),
+          sensitivity: result.prop
+            ? Schema.getSensitivityForProperty(result.prop)
+            : Schema.Sensitivity.PUBLIC
+        };
       }
-      return { ok: true, filled, meta, episodeId: episode.id };
+      const epJson = { ...episode.toJSON(), origin: msg.origin || null };
+      await _rememberEpisode(_episodeSnapshot(epJson));
+      if (agent.llm.calls !== calls0 || agent.cache.hits !== hits0) {
+        await persistAgent();   // budget usage, cache entries and counters
+      }
+      return {
+        ok: true, filled, meta, episodeId: episode.id, episode: epJson,
+        sections: episode.sections, origin: msg.origin || null
+      };
+    }
+
+    // ── Most recent autofill episode (for the popup feedback view) ───────
+    case "GET_LAST_EPISODE": {
+      const episode = await _lastEpisode();
+      const feedback = episode ? agent.epi.feedbackFor(episode.id) : {};
+      return { ok: true, episode, feedback };
+    }
+
+    // ── Record per-fill consent decisions from the page ──────────────────
+    case "CONSENT": {
+      agent.consent.record(msg.origin, msg.decisions || {});
+      await persistAgent();
+      return { ok: true, blocked: agent.consent.blocked(msg.origin) };
     }
 
     // ── Process user feedback ────────────────────────────────────────────
+    // Accepts a full serialised episode, or the id of a recent episode.
     case "FEEDBACK": {
-      const episode = _rebuildEpisode(msg.episode);
-      agent.feedback(episode, msg.feedback);
+      let data = msg.episode;
+      if (!data && msg.episodeId) data = await _recentEpisode(msg.episodeId);
+      if (!data) return { ok: false, error: `Unknown episode: ${msg.episodeId}` };
+      const episode = _rebuildEpisode(data);
+      agent.feedback(episode, msg.feedback || {}, { siteOnly: Boolean(msg.siteOnly) });
       await persistAgent();
-      return { ok: true };
+      return { ok: true, feedback: agent.epi.feedbackFor(episode.id) };
     }
 
     // ── Long-form QA ─────────────────────────────────────────────────────
     case "ANSWER_QUESTION": {
-      const { answer, context } = await agent.answerQuestion(msg.question, msg.maxWords || 60);
-      return { ok: true, answer, context };
+      const calls0 = agent.llm.calls;
+      const { answer, context, reason, cached } = await agent.answerQuestion(msg.question, msg.maxWords || 60);
+      if (agent.llm.calls !== calls0 || cached) await persistAgent();
+      return { ok: true, answer, context, reason: reason || null, cached: Boolean(cached) };
+    }
+
+    // ── LLM budget ───────────────────────────────────────────────────────
+    case "GET_BUDGET": {
+      return { ok: true, budget: agent.budget.status(), history: agent.budget.history(msg.days || 30) };
+    }
+
+    // ── Outbound LLM audit log ───────────────────────────────────────────
+    case "GET_AUDIT": {
+      return { ok: true, entries: agent.audit.list(msg.limit || 50), total: agent.audit.size };
+    }
+
+    case "CLEAR_AUDIT": {
+      agent.audit.clear();
+      await persistAgent();
+      return { ok: true };
+    }
+
+    case "SET_BUDGET": {
+      const limits = agent.budget.setLimits(msg.limits || {});
+      await persistAgent();
+      return { ok: true, limits };
+    }
+
+    // ── Update LLM provider / API key ────────────────────────────────────
+    case "SET_LLM_CONFIG": {
+      const cfg = {
+        llmProvider: msg.provider || "mistral",
+        apiKey:      msg.apiKey || "",
+        llmModel:    msg.model || "",
+        llmEndpoint: msg.endpoint || ""
+      };
+      await chrome.storage.sync.set(cfg);
+      _apiKey = cfg.apiKey;
+      const llm = agent.setLLM(createLLM(cfg));
+      const ok = llm.available() ? await llm.test() : false;
+      await persistAgent();   // audit entry for the connectivity probe
+      return { ok, provider: llm.provider, lastError: ok ? null : llm.lastError };
+    }
+
+    // ── Site policy rules ────────────────────────────────────────────────
+    case "GET_POLICY": {
+      return { ok: true, rule: agent.policy.resolve(msg.origin) };
+    }
+
+    case "LIST_POLICIES": {
+      return { ok: true, rules: agent.policy.list() };
+    }
+
+    case "SET_POLICY": {
+      const rule = msg.merge
+        ? agent.policy.update(msg.pattern, msg.rule || {})
+        : agent.policy.set(msg.pattern, msg.rule || {});
+      await persistAgent();
+      return { ok: true, rule };
+    }
+
+    case "REMOVE_POLICY": {
+      const removed = agent.policy.remove(msg.pattern);
+      await persistAgent();
+      return { ok: removed };
+    }
+
+    // ── Per-site learned field mappings ──────────────────────────────────
+    case "LIST_SITE_MAPPINGS": {
+      const sites = Object.entries(agent.mapper.siteMappings)
+        .map(([origin, table]) => ({ origin, count: Object.keys(table).length }));
+      return { ok: true, sites };
     }
 
-    // ── Update API key ───────────────────────────────────────────────────
-    case "SET_API_KEY": {
-      await chrome.storage.sync.set({ apiKey: msg.apiKey });
-      _apiKey = msg.apiKey;
-      agent.llm.apiKey  = msg.apiKey;
-      agent.llm._ready  = Boolean(msg.apiKey);
-      const ok = msg.apiKey ? await agent.llm.test() : false;
-      return { ok };
+    case "FORGET_SITE_MAPPINGS": {
+      const forgotten = agent.mapper.forgetSite(msg.origin);
+      await persistAgent();
+      return { ok: true, forgotten };
+    }
+
+    // ── Personas (overlays on the user's own values) ─────────────────────
+    case "LIST_PERSONAS": {
+      return { ok: true, personas: agent.personas.list() };
+    }
+
+    case "ADD_PERSONA": {
+      const name = agent.personas.add(msg.name, msg.label);
+      await persistAgent();
+      return { ok: true, name, personas: agent.personas.list() };
+    }
+
+    case "REMOVE_PERSONA": {
+      const removed = agent.removePersona(msg.name);
+      await persistAgent();
+      return { ok: removed, personas: agent.personas.list() };
+    }
+
+    // ── Custom schema (user-defined properties and layers) ───────────────
+    case "LIST_SCHEMA": {
+      const { Schema } = globalThis.AutoFillGraphV5;
+      return {
+        ok: true,
+        properties: Schema.customProperties(),
+        layers:     Object.entries(Schema.layerDefinitions())
+          .map(([name, def]) => ({ name, sensitivity: def.sensitivity, custom: !Schema.LAYER_DEFINITIONS[name] })),
+        types:      Object.values(Schema.PropertyType),
+        names:      Object.keys(Schema.propertyDefinitions())
+      };
+    }
+
+    case "DEFINE_PROPERTY": {
+      try {
+        const property = agent.defineProperty(msg.name, msg.spec || {});
+        await persistAgent();
+        return { ok: true, property };
+      } catch (err) {
+        return { ok: false, error: err.message };
+      }
+    }
+
+    case "REMOVE_PROPERTY": {
+      try {
+        const removed = agent.removeProperty(msg.name);
+        await persistAgent();
+        return { ok: removed };
+      } catch (err) {
+        return { ok: false, error: err.message };
+      }
+    }
+
+    case "DEFINE_LAYER": {
+      try {
+        const layer = agent.defineLayer(msg.name, msg.spec || {});
+        await persistAgent();
+        return { ok: true, layer };
+      } catch (err) {
+        return { ok: false, error: err.message };
+      }
+    }
+
+    case "REMOVE_LAYER": {
+      try {
+        const removed = agent.removeLayer(msg.name);
+        await persistAgent();
+        return { ok: removed };
+      } catch (err) {
+        return { ok: false, error: err.message };
+      }
+    }
+
+    // ── Orphan property promotion (review screen) ─────────────────────────
+    case "LIST_SCHEMA_PROPOSALS": {
+      return { ok: true, proposals: agent.schemaProposals() };
+    }
+
+    case "RESOLVE_SCHEMA_PROPOSAL": {
+      try {
+        const result = agent.resolveProposal(msg.id, msg.decision, msg.name || null);
+        if (!result) return { ok: false, error: "Proposal no longer applies" };
+        await persistAgent();
+        return { ok: true, ...result, proposals: agent.schemaProposals() };
+      } catch (err) {
+        return { ok: false, error: err.message };
+      }
+    }
+
+    // ── Vault: status / unlock / lock ────────────────────────────────────
+    case "VAULT_STATUS": {
+      return { ok: true, vault: agent.vault.status() };
+    }
+
+    case "VAULT_UNLOCK": {
+      const ok = await agent.unlock(msg.passphrase || "");
+      if (ok) {
+        _armVaultTimer();
+        await persistAgent();
+      }
+      return { ok, vault: agent.vault.status() };
+    }
+
+    case "VAULT_LOCK": {
+      await lockVault();
+      return { ok: true, vault: agent.vault.status() };
     }
 
     // ── Get agent statistics ─────────────────────────────────────────────
@@ -140,7 +456,8 @@ async function handleMessage(msg) {
       const hist = {};
       for (const [prop, vals] of agent.kg._attrs.entries()) {
         hist[prop] = vals.map(a => ({
-          value: String(a.value), valid_from: a.valid_from, valid_until: a.valid_until,
+          value: a.sealed ? "[locked]" : String(a.value),
+          valid_from: a.valid_from, valid_until: a.valid_until,
           confidence: Math.round(a.confidence * 1000) / 1000,
           source: a.source, current: a.is_current()
         }));
@@ -162,6 +479,7 @@ async function handleMessage(msg) {
       await new StorageManager().clear();
       const llm = agent.llm;
       const { AutoFillAgentV5 } = globalThis.AutoFillGraphV5;
+      clearTimeout(_vaultTimer);
       _agent = new AutoFillAgentV5({ llm });
       _initialised = true;
       return { ok: true };
@@ -169,13 +487,14 @@ async function handleMessage(msg) {
 
     // ── Export graph as JSON ─────────────────────────────────────────────
     case "EXPORT": {
-      return { ok: true, data: agent.serialize() };
+      return { ok: true, data: await agent.serialize() };
     }
 
     // ── Import graph from JSON ───────────────────────────────────────────
     case "IMPORT": {
       const llm = agent.llm;
       const { AutoFillAgentV5 } = globalThis.AutoFillGraphV5;
+      clearTimeout(_vaultTimer);
       _agent = AutoFillAgentV5.deserialize(msg.data, { llm });
       await persistAgent();
       return { ok: true, stats: _agent.stats() };
@@ -190,6 +509,75 @@ async function handleMessage(msg) {
   }
 }
 
+// ── Pending learn-on-submit offer ───────────────────────────────────────────
+
+const PENDING_LEARN_KEY = "afg_v5_pending_learn";
+const PENDING_LEARN_TTL = 2 * 60 * 1000;
+
+// offerId → sensitive part of the pending offer (worker memory only)
+let _pendingSensitive = null;
+
+function _splitSensitive(agent, form, origin, lang) {
+  const { Schema } = globalThis.AutoFillGraphV5;
+  const plain = {}, sensitive = {};
+  for (const [label, value] of Object.entries(form)) {
+    const { prop } = agent.mapper.map(label, { origin, lang });
+    const secret = (prop && Schema.getSensitivityForProperty(prop) !== Schema.Sensitivity.PUBLIC) ||
+                   Object.keys(agent.redactor.redact(String(value)).hits).length > 0;
+    (secret ? sensitive : plain)[label] = value;
+  }
+  return { plain, sensitive };
+}
+
+async function _pendingLearn() {
+  const res = await chrome.storage.session.get(PENDING_LEARN_KEY).catch(() => ({}));
+  const offer = res[PENDING_LEARN_KEY];
+  if (!offer || Date.now() - offer.at > PENDING_LEARN_TTL) return null;
+  return offer;
+}
+
+// ── Recent episodes (session storage: memory-only, cleared with the browser) ──
+// Keyed by id, oldest first, so implicit edits and badge feedback for an
+// earlier fill on the page still find their episode after a later autofill.
+// Only field → property/status is kept; filled values never reach storage.
+
+const RECENT_EPISODES_KEY = "afg_v5_recent_episodes";
+const RECENT_EPISODES_MAX = 20;
+
+async function _recentEpisodes() {
+  const res = await chrome.storage.session.get(RECENT_EPISODES_KEY).catch(() => ({}));
+  return res[RECENT_EPISODES_KEY] || {};
+}
+
+async function _rememberEpisode(epJson) {
+  const recent = await _recentEpisodes();
+  delete recent[epJson.id];
+  recent[epJson.id] = epJson;
+  const ids = Object.keys(recent);
+  for (const id of ids.slice(0, Math.max(0, ids.length - RECENT_EPISODES_MAX))) delete recent[id];
+  await chrome.storage.session.set({ [RECENT_EPISODES_KEY]: recent }).catch(() => {});
+}
+
+function _episodeSnapshot(epJson) {
+  const results = {};
+  for (const [field, r] of Object.entries(epJson.results || {})) {
+    results[field] = {
+      field: r.field, prop: r.prop, subject: r.subject,
+      status: r.status, route: r.route, confidence: r.confidence
+    };
+  }
+  return { ...epJson, results };
+}
+
+async function _lastEpisode() {
+  const episodes = Object.values(await _recentEpisodes());
+  return episodes[episodes.length - 1] || null;
+}
+
+async function _recentEpisode(id) {
+  return (await _recentEpisodes())[id] || null;
+}
+
 // ── Rebuild a FillEpisode from serialised data ────────────────────────────
 
 function _rebuildEpisode(data) {
@@ -198,8 +586,8 @@ function _rebuildEpisode(data) {
   const schema = globalThis.AutoFillGraphV5.Schema;
   const results = {};
   for (const [field, r] of Object.entries(data.results || {})) {
-    results[field] = new FillResult(field, {
-      prop: r.prop, value: r.value,
+    results[field] = new FillResult(r.field || field, {
+      prop: r.prop, subject: r.subject, value: r.value,
       status: r.status || schema.FillStatus.UNKNOWN,
       route: r.route, confidence: r.confidence || 0,
       evidence: r.evidence || [], reason: r.reason || ""
@@ -207,7 +595,8 @@ function _rebuildEpisode(data) {
   }
   return new FillEpisode({
     id: data.id, domain: data.domain, fields: data.fields,
-    results, feedback: data.feedback || {}, created_at: data.created_at
+    results, persona: data.persona || null, origin: data.origin || null,
+    feedback: data.feedback || {}, created_at: data.created_at
   });
 }
 
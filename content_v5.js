@@ -4,11 +4,21 @@
 
 (function AutoFillGraphV5Content() {
 
+  // Injected into every frame (all_frames); only the top frame and frames
+  // that share its origin take part.  Cross-origin frames stay inert.
+  const IS_TOP = window === window.top;
+  if (!IS_TOP && !_sameOriginAsTop()) return;
+
+  function _sameOriginAsTop() {
+    try { return window.top.location.origin === location.origin; } catch (_) { return false; }
+  }
+
   // ── Constants ─────────────────────────────────────────────────────────────
 
   const AUTOFILLABLE_TYPES = new Set([
     "text", "email", "tel", "url", "number", "search",
-    "date", "time", "month", "week", "password", ""
+    "date", "time", "month", "week", "password", "",
+    "textarea", "select-one", "select-multiple", "radio", "checkbox"
   ]);
 
   const SKIP_NAMES = new Set([
@@ -18,24 +28,256 @@
 
   // ── Field extraction ──────────────────────────────────────────────────────
 
-  function extractFields() {
+  // root = document scans every form-like container plus every open shadow
+  // root (web-component forms); any other element is scanned directly (used
+  // for SPA containers on learn-on-submit).  Inputs are found through open
+  // shadow roots at any depth.
+  // Radio buttons and same-name checkboxes collapse into one field whose
+  // `group` holds every input; choice fields carry a `choice` descriptor
+  // {kind, multi, options: [{value, text}]} for the agent's option matcher.
+  // Every field gets a fingerprint `id`; fields are not merged by label, so
+  // two "Name" inputs (applicant / reference) stay separate.
+  function extractFields(root = document) {
     const fields = [];
-    const seen   = new Set();
-
-    for (const form of document.querySelectorAll("form, [data-form], main")) {
-      for (const el of form.querySelectorAll("input, textarea, select")) {
-        if (!_isAutofillable(el)) continue;
-        const label = _resolveLabel(el);
-        if (!label) continue;
-        const id = label.toLowerCase().trim();
-        if (seen.has(id)) continue;
-        seen.add(id);
-        fields.push({ label, element: el, value: el.value || "" });
+    const ids    = new Set();
+    const visited = new Set();
+    const sigs   = new Map();
+    const scopes = root === document
+      ? [..._deepQueryAll(document, "form, [data-form], main"), ..._openShadowRoots(document)]
+      : [root];
+
+    for (const form of scopes) {
+      for (const el of _deepQueryAll(form, "input, textarea, select")) {
+        if (!_isAutofillable(el) || visited.has(el)) continue;
+        visited.add(el);
+        const field = _describeField(el, form);
+        for (const g of field.group || []) visited.add(g);
+        if (!field.label) continue;
+        let id = _fingerprint(el, field.label);
+        for (let n = 2; ids.has(id); n++) id = `${_fingerprint(el, field.label)}~${n}`;
+        ids.add(id);
+        field.id     = id;
+        field.value  = _readValue(field);
+        field.repeat = _repeatOf(el, sigs);
+        for (const g of field.group || [el]) _fieldOf.set(g, field);
+        fields.push(field);
       }
     }
     return fields;
   }
 
+  const _fieldOf = new WeakMap();   // element → field descriptor
+
+  // ── Field identity ────────────────────────────────────────────────────────
+  // Fingerprint = form index · name · id · autocomplete · DOM path · label,
+  // hashed.  Stable between DETECT_FIELDS and INJECT_AUTOFILL as long as the
+  // form itself is not re-rendered in between.
+
+  function _fingerprint(el, label) {
+    const form = el.form || el.closest("form");
+    const parts = [
+      form ? [...document.forms].indexOf(form) : -1,
+      el.name || "", el.id || "", el.getAttribute("autocomplete") || "",
+      _domPath(el), label || ""
+    ];
+    return `fld_${_hash(parts.join("|"))}`;
+  }
+
+  // Structured descriptor sent with DETECT_FIELDS; `id` is the fingerprint,
+  // `domId` the element's own id attribute.
+  function _descriptor(field) {
+    const el = field.element;
+    return {
+      id: field.id, label: field.label,
+      name: el.name || null, domId: el.id || null,
+      type: field.kind === "text" ? (el.type || el.tagName.toLowerCase()) : field.kind,
+      autocomplete: el.getAttribute("autocomplete") || null,
+      placeholder: el.placeholder || null,
+      inputmode: el.getAttribute("inputmode") || null,
+      maxlength: el.maxLength > 0 ? el.maxLength : null,
+      pattern: el.getAttribute("pattern") || null,
+      repeat: field.repeat || null
+    };
+  }
+
+  // ── Repeating sections ("Add another" education / employment blocks) ─────
+  // A block is an ancestor of the input whose same-tag, same-class siblings
+  // hold the same set of inputs (tag · type · name with digits stripped).
+  // A lone block counts when its container has an "add another" control.
+  // repeat = {key, index}: key names the container, index the block's place.
+
+  const ADD_TEXT_RE = /\badd\s+(another|more|new|an?\s+(other|additional))\b|^\s*\+\s*add\b|\badd\s+(an?\s+)?(school|job|position|education|employment|experience|reference|referee|language)\b/i;
+  const _sections = new Map();   // key → {parent, tag, className, sig}
+
+  function _repeatOf(el, sigs) {
+    for (let node = el.parentElement; node?.parentElement; node = node.parentElement) {
+      if (node === document.body) break;
+      const sig = _blockSignature(node, sigs);
+      if (!sig) continue;
+      const parent = node.parentElement;
+      const blocks = [...parent.children].filter(c =>
+        c.tagName === node.tagName && c.className === node.className &&
+        _blockSignature(c, sigs) === sig
+      );
+      if (blocks.length < 2 && !(sig.includes("|") && _addButton(parent))) continue;
+      const key = `sec_${_hash(`${_domPath(parent)}>${node.tagName}.${node.className}>${sig}`)}`;
+      _sections.set(key, { parent, tag: node.tagName, className: node.className, sig });
+      return { key, index: blocks.indexOf(node) };
+    }
+    return null;
+  }
+
+  function _blockSignature(node, sigs) {
+    if (sigs.has(node)) return sigs.get(node);
+    const parts = [...node.querySelectorAll("input, textarea, select")]
+      .filter(_isAutofillable)
+      .map(i => `${i.tagName}:${i.type}:${(i.name || "").replace(/\d+/g, "#")}`);
+    const sig = parts.length ? parts.join("|") : null;
+    sigs.set(node, sig);
+    return sig;
+  }
+
+  function _addButton(container) {
+    const candidates = container.querySelectorAll("button, [role=button], a, input[type=button]");
+    return [...candidates].find(b =>
+      b.type !== "submit" && ADD_TEXT_RE.test((b.innerText || b.value || b.getAttribute("aria-label") || "").trim())
+    ) || null;
+  }
+
+  // Clicks a section's add control `count` times so later list items have a
+  // block to land in.  Returns the number of blocks added.
+  async function expandSection(key, count) {
+    const sec = _sections.get(key);
+    const btn = sec && sec.parent.isConnected ? _addButton(sec.parent) : null;
+    if (!btn) return 0;
+    const blocksNow = () => [...sec.parent.children]
+      .filter(c => c.tagName === sec.tag && c.className === sec.className).length;
+    const before = blocksNow();
+    for (let i = 0; i < count; i++) {
+      btn.click();
+      await new Promise(r => setTimeout(r, 150));
+    }
+    return blocksNow() - before;
+  }
+
+  // [{key, blocks: [{label: value}, …]}] for learning list items
+  function collectRepeats(root = document) {
+    const byKey = {};
+    for (const field of extractFields(root)) {
+      if (!field.repeat || field.element.type === "password" || !field.value) continue;
+      const blocks = byKey[field.repeat.key] || (byKey[field.repeat.key] = []);
+      const block  = blocks[field.repeat.index] || (blocks[field.repeat.index] = {});
+      if (!Object.hasOwn(block, field.label)) block[field.label] = field.value;
+    }
+    return Object.entries(byKey).map(([key, blocks]) => ({ key, blocks: Array.from(blocks, b => b || {}) }));
+  }
+
+  // tag:nth-of-type segments up to the document, crossing shadow hosts
+  function _domPath(el) {
+    const segs = [];
+    for (let node = el; node && node.nodeType === 1; ) {
+      let n = 1;
+      for (let sib = node.previousElementSibling; sib; sib = sib.previousElementSibling) {
+        if (sib.tagName === node.tagName) n++;
+      }
+      segs.unshift(`${node.tagName.toLowerCase()}:${n}`);
+      if (node.parentElement) { node = node.parentElement; continue; }
+      const host = node.getRootNode().host;
+      if (host) segs.unshift("#shadow");
+      node = host || null;
+    }
+    return segs.join(">");
+  }
+
+  function _hash(str) {
+    let h = 5381;
+    for (let i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+    return (h >>> 0).toString(36);
+  }
+
+  // querySelectorAll that also descends into open shadow roots
+  function _deepQueryAll(root, selector) {
+    const out = [...root.querySelectorAll(selector)];
+    for (const sr of _openShadowRoots(root)) out.push(...sr.querySelectorAll(selector));
+    return out;
+  }
+
+  function _openShadowRoots(root) {
+    const out = [];
+    for (const host of root.querySelectorAll("*")) {
+      if (host.shadowRoot) out.push(host.shadowRoot, ..._openShadowRoots(host.shadowRoot));
+    }
+    return out;
+  }
+
+  function _kindOf(el) {
+    if (el.tagName === "SELECT") return "select";
+    if (el.type === "radio" || el.type === "checkbox") return el.type;
+    return "text";
+  }
+
+  function _describeField(el, scope) {
+    const kind = _kindOf(el);
+    if (kind === "select") {
+      const options = [...el.options]
+        .filter(o => o.value !== "" || o.text.trim())
+        .map(o => ({ value: o.value, text: o.text.trim() }));
+      return { label: _resolveLabel(el), element: el, kind,
+               choice: { kind, multi: el.multiple, options } };
+    }
+    if (kind === "radio" || kind === "checkbox") {
+      const group = el.name
+        ? [...scope.querySelectorAll(`input[type="${el.type}"][name="${CSS.escape(el.name)}"]`)]
+            .filter(_isAutofillable)
+        : [el];
+      if (kind === "checkbox" && group.length === 1) {
+        return { label: _resolveLabel(el), element: el, kind, group,
+                 choice: { kind: "checkbox", multi: false, options: [] } };
+      }
+      const options = group.map(g => ({ value: g.value, text: _resolveLabel(g) || g.value }));
+      const gKind = kind === "radio" ? "radio" : "checkbox-group";
+      return { label: _groupLabel(el), element: el, kind: gKind, group,
+               choice: { kind: gKind, multi: gKind === "checkbox-group", options } };
+    }
+    return { label: _resolveLabel(el), element: el, kind };
+  }
+
+  function _groupLabel(el) {
+    const legend = el.closest("fieldset")?.querySelector("legend");
+    if (legend?.innerText.trim()) return legend.innerText.trim();
+    const grp = el.closest("[role=radiogroup], [role=group]");
+    if (grp) {
+      const aria = grp.getAttribute("aria-label");
+      if (aria) return aria.trim();
+      const lblEl = el.getRootNode().getElementById?.(grp.getAttribute("aria-labelledby") || "");
+      if (lblEl) return lblEl.innerText.trim();
+    }
+    return (el.name || "").replace(/[_\-\[\]]+/g, " ").trim() || null;
+  }
+
+  // Human-readable current value (option / label text for choice fields)
+  function _readValue(field) {
+    const el = field.element;
+    switch (field.kind) {
+      case "select":
+        return [...el.selectedOptions].filter(o => o.value !== "")
+          .map(o => o.text.trim()).join(", ");
+      case "radio":
+      case "checkbox-group":
+        return field.group.filter(g => g.checked)
+          .map(g => _resolveLabel(g) || g.value).join(", ");
+      case "checkbox":
+        return el.checked ? "Yes" : "";
+      default:
+        return String(el.value ?? "").trim();
+    }
+  }
+
+  function _readElement(el) {
+    const field = _fieldOf.get(el);
+    return field ? _readValue(field) : String(el.value ?? "").trim();
+  }
+
   function _isAutofillable(el) {
     if (el.disabled || el.readOnly) return false;
     if (el.type === "hidden" || el.type === "submit" || el.type === "button" ||
@@ -47,10 +289,13 @@
   }
 
   function _resolveLabel(el) {
+    // Labels live in the same tree as the input (document or shadow root)
+    const scope = el.getRootNode();
+
     // 1. explicit <label for="...">
     const id = el.id;
     if (id) {
-      const lbl = document.querySelector(`label[for="${CSS.escape(id)}"]`);
+      const lbl = scope.querySelector(`label[for="${CSS.escape(id)}"]`);
       if (lbl) return lbl.innerText.trim();
     }
     // 2. wrapping <label>
@@ -62,7 +307,7 @@
     if (aria) return aria.trim();
     const lblId = el.getAttribute("aria-labelledby");
     if (lblId) {
-      const lblEl = document.getElementById(lblId);
+      const lblEl = scope.getElementById?.(lblId);
       if (lblEl) return lblEl.innerText.trim();
     }
 
@@ -74,26 +319,81 @@
   }
 
   // ── Inject autofill values into form fields ───────────────────────────────
+  // RESTRICTED / ENCRYPTED values are only written after the user approves
+  // them in the consent prompt; decisions are reported back as CONSENT.
+
+  // filled / meta are keyed by field id (see _fingerprint).  Feedback is
+  // reported as idPrefix + id: the popup qualifies ids by frame.
 
-  function injectValues(filled, meta) {
+  async function injectValues(filled, meta, episodeId = null, idPrefix = "") {
     const fieldsList = extractFields();
     let count = 0;
 
-    for (const { label, element } of fieldsList) {
-      const value = filled[label];
+    const sensitive = fieldsList.filter(({ id }) => {
+      const value = filled[id];
+      return value && value !== "UNKNOWN" && _isSensitive(meta?.[id]);
+    });
+    let decisions = {};
+    if (sensitive.length) {
+      decisions = await _askConsent(sensitive.map(({ id, label }) => ({
+        id, label, prop: meta[id].prop, value: String(filled[id])
+      })));
+      const byProp = {};
+      for (const { id } of sensitive) byProp[meta[id].prop] = decisions[id];
+      chrome.runtime.sendMessage({
+        action: "CONSENT", origin: location.origin, decisions: byProp
+      }).catch(() => {});
+    }
+
+    for (const field of fieldsList) {
+      const { id, label, element } = field;
+      const value = filled[id];
       if (!value || value === "UNKNOWN") continue;
-      const m = meta?.[label] || {};
+      const m = meta?.[id] || {};
+      if (_isSensitive(m) && decisions[id] !== "allow") continue;
 
-      _setNativeValue(element, String(value));
+      _writeField(field, value);
+      _watchEdits(element, idPrefix + id, label, episodeId);
 
       // Visual badge
       const conf = m.confidence || 0;
-      _attachBadge(element, m.status || "FILLED", conf, m.route || "local");
+      _attachBadge(element, m.status || "FILLED", conf, m.route || "local", idPrefix + id, episodeId);
       count++;
     }
     return count;
   }
 
+  // Choice values arrive already snapped to option values by the agent
+  function _writeField(field, value) {
+    const values = [].concat(value).map(String);
+    switch (field.kind) {
+      case "select":
+        if (field.element.multiple) {
+          for (const o of field.element.options) o.selected = values.includes(o.value);
+          field.element.dispatchEvent(new Event("change", { bubbles: true }));
+        } else {
+          _setNativeValue(field.element, values[0]);
+        }
+        break;
+      case "radio":
+        _setChecked(field.group.find(g => g.value === values[0]), true);
+        break;
+      case "checkbox":
+        _setChecked(field.element, value === true || value === "true");
+        break;
+      case "checkbox-group":
+        for (const g of field.group) _setChecked(g, values.includes(g.value));
+        break;
+      default:
+        _setNativeValue(field.element, String(value));
+    }
+  }
+
+  function _setChecked(el, on) {
+    // click() fires click / input / change the way a user toggle would
+    if (el && el.checked !== on) el.click();
+  }
+
   function _setNativeValue(el, value) {
     // React / Vue compatibility: dispatch native input + change events
     const nativeSetter = Object.getOwnPropertyDescriptor(
@@ -109,7 +409,9 @@
     el.dispatchEvent(new Event("change", { bubbles: true }));
   }
 
-  function _attachBadge(el, status, confidence, route) {
+  // With an episode id the badge is clickable and opens accept / reject /
+  // correct controls; "correct" sends the element's current (edited) value.
+  function _attachBadge(el, status, confidence, route, fieldId = null, episodeId = null) {
     const existing = el.parentElement?.querySelector(".afg-v5-badge");
     if (existing) existing.remove();
 
@@ -125,10 +427,11 @@
       "font-size:10px", "padding:1px 5px",
       `background:${colors[status] || "#64748b"}`,
       "color:#fff", "border-radius:3px",
-      "pointer-events:none", "z-index:99999",
-      "font-family:monospace"
+      `pointer-events:${episodeId ? "auto" : "none"}`, "z-index:99999",
+      "font-family:monospace", `cursor:${episodeId ? "pointer" : "default"}`
     ].join(";");
     badge.textContent = `AFG:${status.slice(0, 3)}`;
+    if (episodeId && fieldId) _attachFeedbackControls(badge, el, fieldId, episodeId);
 
     const wrapper = el.parentElement;
     if (wrapper) {
@@ -138,29 +441,335 @@
     }
   }
 
+  // ── Per-field feedback on badges ──────────────────────────────────────────
+
+  function _attachFeedbackControls(badge, el, fieldId, episodeId) {
+    const menu = document.createElement("span");
+    menu.style.cssText = "display:none;margin-left:4px";
+    const actions = [
+      ["✓", "Accept", () => "accept"],
+      ["✕", "Reject", () => "reject"],
+      ["✎", "Correct with the current field value", () => {
+        const v = _readElement(el);
+        return v ? `correct:${v}` : null;
+      }]
+    ];
+    for (const [glyph, title, build] of actions) {
+      const btn = document.createElement("span");
+      btn.textContent = glyph;
+      btn.title = title;
+      btn.style.cssText = "padding:0 3px;cursor:pointer";
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const action = build();
+        if (!action) return;
+        sendFeedback(episodeId, { [fieldId]: action }).then(res => {
+          if (!res?.ok) return;
+          _watched.delete(el);
+          badge.textContent = `AFG:${glyph}`;
+          badge.style.pointerEvents = "none";
+        });
+      });
+      menu.appendChild(btn);
+    }
+    badge.appendChild(menu);
+    badge.addEventListener("click", (e) => {
+      e.stopPropagation();
+      menu.style.display = menu.style.display === "none" ? "inline" : "none";
+    });
+  }
+
+  // ── Implicit feedback from edits after injection ──────────────────────────
+  // Every injected element is watched until its episode feedback is sent,
+  // once per field, when the user is done with the form:
+  //   native submit, SPA submit (see Learn on submit), or pagehide
+  // Untouched fields → accept; cleared → reject; edited → correct:<value>.
+  // Intermediate values typed along the way are never sent.  Explicit badge
+  // feedback removes the element from the watch list.
+
+  const _watched = new Map();   // element → {id, label, injected, episodeId}
+
+  function _watchEdits(el, id, label, episodeId) {
+    if (!episodeId) return;
+    _watched.set(el, { id, label, injected: _readElement(el), episodeId });
+  }
+
+  function _implicitAction(el, entry) {
+    const now = _readElement(el);
+    if (now === entry.injected) return "accept";
+    if (!now) return "reject";
+    return `correct:${now}`;
+  }
+
+  // Send the final action of every watched element inside `root` and stop
+  // watching them
+  function _settleImplicit(root) {
+    const byEpisode = {};
+    for (const [el, entry] of [..._watched.entries()]) {
+      if (root && !root.contains(el)) continue;
+      _watched.delete(el);
+      if (!byEpisode[entry.episodeId]) byEpisode[entry.episodeId] = {};
+      byEpisode[entry.episodeId][entry.id] = _implicitAction(el, entry);
+    }
+    for (const [episodeId, fb] of Object.entries(byEpisode)) sendFeedback(episodeId, fb);
+  }
+
+  document.addEventListener("submit", (e) => {
+    _offerLearn(e.target);
+    _settleImplicit(e.target);
+  }, true);
+
+  window.addEventListener("pagehide", () => _settleImplicit(null));
+
+  // feedback: {fieldId: "accept"|"reject"|"correct:<value>"}
+  function sendFeedback(episodeId, feedback) {
+    return chrome.runtime.sendMessage({ action: "FEEDBACK", episodeId, feedback })
+      .catch(() => null);
+  }
+
+  // ── Consent prompt ────────────────────────────────────────────────────────
+
+  function _isSensitive(m) {
+    return Boolean(m && m.sensitivity && m.sensitivity !== "PUBLIC");
+  }
+
+  function _mask(value) {
+    const v = String(value);
+    return v.length <= 4 ? "••••" : `•••• ${v.slice(-4)}`;
+  }
+
+  // items: [{id, label, prop, value}] → Promise<{id: "allow"|"deny"|"never"}>
+  function _askConsent(items) {
+    return new Promise(resolve => {
+      document.getElementById("afg-v5-consent")?.remove();
+
+      const box = document.createElement("div");
+      box.id = "afg-v5-consent";
+      box.style.cssText = [
+        "position:fixed", "top:16px", "right:16px", "z-index:2147483647",
+        "width:340px", "max-height:70vh", "overflow:auto",
+        "background:#0f172a", "color:#f1f5f9", "border:1px solid #334155",
+        "border-radius:8px", "padding:12px 14px",
+        "font:12px/1.5 'Segoe UI',system-ui,sans-serif",
+        "box-shadow:0 8px 24px rgba(0,0,0,.35)"
+      ].join(";");
+
+      const title = document.createElement("div");
+      title.style.cssText = "font-weight:700;font-size:13px;margin-bottom:2px";
+      title.textContent = "AutoFillGraph: sensitive fields";
+      const sub = document.createElement("div");
+      sub.style.cssText = "color:#94a3b8;font-size:11px;margin-bottom:8px";
+      sub.textContent = `About to write ${items.length} sensitive value(s) on ${location.host}`;
+      box.append(title, sub);
+
+      const selects = {};
+      for (const { id, label, prop, value } of items) {
+        const row = document.createElement("div");
+        row.style.cssText = "display:flex;align-items:center;gap:8px;padding:5px 0;border-top:1px solid #334155";
+        const info = document.createElement("div");
+        info.style.cssText = "flex:1;min-width:0";
+        const name = document.createElement("div");
+        name.style.cssText = "font-weight:600;overflow:hidden;text-overflow:ellipsis;white-space:nowrap";
+        name.textContent = label;
+        const detail = document.createElement("div");
+        detail.style.cssText = "color:#94a3b8;font-size:10px;font-family:monospace";
+        detail.textContent = `${prop} · ${_mask(value)}`;
+        info.append(name, detail);
+
+        const sel = document.createElement("select");
+        sel.style.cssText = "background:#1e293b;color:#f1f5f9;border:1px solid #334155;border-radius:4px;font-size:11px";
+        for (const [v, text] of [["allow", "Fill"], ["deny", "Skip"], ["never", "Never on this site"]]) {
+          const opt = document.createElement("option");
+          opt.value = v;
+          opt.textContent = text;
+          sel.appendChild(opt);
+        }
+        selects[id] = sel;
+        row.append(info, sel);
+        box.appendChild(row);
+      }
+
+      const actions = document.createElement("div");
+      actions.style.cssText = "display:flex;gap:8px;margin-top:10px";
+      const btnCss = "flex:1;padding:6px;border:none;border-radius:5px;font-weight:600;cursor:pointer;font-size:12px";
+      const ok = document.createElement("button");
+      ok.type = "button";
+      ok.style.cssText = `${btnCss};background:#2563eb;color:#fff`;
+      ok.textContent = "Continue";
+      const cancel = document.createElement("button");
+      cancel.type = "button";
+      cancel.style.cssText = `${btnCss};background:transparent;color:#94a3b8;border:1px solid #334155`;
+      cancel.textContent = "Skip all";
+      actions.append(ok, cancel);
+      box.appendChild(actions);
+
+      const finish = (skipAll) => {
+        const out = {};
+        for (const [id, sel] of Object.entries(selects)) {
+          out[id] = skipAll && sel.value === "allow" ? "deny" : sel.value;
+        }
+        box.remove();
+        resolve(out);
+      };
+      ok.addEventListener("click", () => finish(false));
+      cancel.addEventListener("click", () => finish(true));
+
+      document.body.appendChild(box);
+    });
+  }
+
   // ── Collect form values for learning ──────────────────────────────────────
 
-  function collectFormValues() {
+  function collectFormValues(root = document) {
     const form = {};
-    for (const { label, element } of extractFields()) {
-      const v = element.value?.trim();
-      if (v) form[label] = v;
+    for (const field of extractFields(root)) {
+      if (field.element.type === "password") continue;
+      if (field.value && !Object.hasOwn(form, field.label)) form[field.label] = field.value;
+    }
+    return form;
+  }
+
+  // ── Learn on submit ───────────────────────────────────────────────────────
+  // Triggers: native form submit, clicks on submit-like buttons outside a
+  // <form>, and Enter in a field outside a <form> (the usual fetch-driven SPA
+  // submit).  Fetch calls themselves run in the page's world and are not
+  // visible to this isolated content script.  Values still equal to what we
+  // injected are left out; they are already in the graph.
+
+  const SUBMIT_TEXT_RE = /\b(submit|apply|save|send|continue|next|register|sign ?up|finish|confirm)\b/i;
+  const OFFER_DEBOUNCE_MS = 1500;
+  const OFFER_DISMISS_MS  = 20000;
+  let _lastOfferAt = 0;
+
+  function _learnableValues(root) {
+    const form = collectFormValues(root);
+    for (const [el, entry] of _watched.entries()) {
+      if (root.contains(el) && form[entry.label] === entry.injected) delete form[entry.label];
     }
     return form;
   }
 
+  async function _offerLearn(root) {
+    if (Date.now() - _lastOfferAt < OFFER_DEBOUNCE_MS) return;
+    const form = _learnableValues(root);
+    if (!Object.keys(form).length) return;
+    _lastOfferAt = Date.now();
+    const res = await chrome.runtime.sendMessage({
+      action: "OFFER_LEARN", form, origin: location.origin, domain: _detectDomain(), lang: _pageLang()
+    }).catch(() => null);
+    if (res?.ok) _showLearnPrompt(res.offerId, res.count);
+  }
+
+  function _spaContainer(el) {
+    let node = el.parentElement;
+    while (node && node !== document.body) {
+      if (extractFields(node).length >= 2) return node;
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+  document.addEventListener("click", (e) => {
+    const btn = e.target.closest?.("button, input[type=submit], [role=button]");
+    if (!btn || btn.closest("form") || btn.closest("#afg-v5-learn, #afg-v5-consent")) return;
+    const text = btn.innerText || btn.value || btn.getAttribute("aria-label") || "";
+    if (!SUBMIT_TEXT_RE.test(text)) return;
+    const container = _spaContainer(btn);
+    if (container) _spaSubmit(container);
+  }, true);
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter" || e.target.tagName !== "INPUT" || e.target.closest("form")) return;
+    const container = _spaContainer(e.target);
+    if (container) _spaSubmit(container);
+  }, true);
+
+  function _spaSubmit(container) {
+    _offerLearn(container);
+    _settleImplicit(container);
+  }
+
+  function _showLearnPrompt(offerId, count) {
+    document.getElementById("afg-v5-learn")?.remove();
+
+    const box = document.createElement("div");
+    box.id = "afg-v5-learn";
+    box.style.cssText = [
+      "position:fixed", "bottom:16px", "right:16px", "z-index:2147483647",
+      "background:#0f172a", "color:#f1f5f9", "border:1px solid #334155",
+      "border-radius:8px", "padding:10px 12px", "max-width:300px",
+      "font:12px/1.5 'Segoe UI',system-ui,sans-serif",
+      "box-shadow:0 8px 24px rgba(0,0,0,.35)"
+    ].join(";");
+    const text = document.createElement("div");
+    text.style.cssText = "margin-bottom:8px";
+    text.textContent = `Save these details to AutoFillGraph? (${count} field${count === 1 ? "" : "s"})`;
+    box.appendChild(text);
+
+    const row = document.createElement("div");
+    row.style.cssText = "display:flex;gap:6px";
+    let timer = null;
+    const resolve = (decision) => {
+      clearTimeout(timer);
+      box.remove();
+      chrome.runtime.sendMessage({ action: "RESOLVE_LEARN", offerId, decision }).catch(() => {});
+    };
+    for (const [decision, label, css] of [
+      ["save", "Save", "background:#2563eb;color:#fff;border:none"],
+      ["dismiss", "Not now", "background:transparent;color:#94a3b8;border:1px solid #334155"],
+      ["never", "Never on this site", "background:transparent;color:#94a3b8;border:1px solid #334155"]
+    ]) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.textContent = label;
+      btn.style.cssText = `${css};padding:4px 8px;border-radius:5px;cursor:pointer;font-size:11px;font-weight:600`;
+      btn.addEventListener("click", () => resolve(decision));
+      row.appendChild(btn);
+    }
+    box.appendChild(row);
+    document.body.appendChild(box);
+    timer = setTimeout(() => resolve("dismiss"), OFFER_DISMISS_MS);
+  }
+
+  // A classic submit navigates away before the user can answer; the offer is
+  // parked in the background and re-shown on the next page of the same origin.
+  if (IS_TOP) {
+    chrome.runtime.sendMessage({ action: "GET_PENDING_LEARN", origin: location.origin })
+      .then(res => { if (res?.offer) _showLearnPrompt(res.offer.id, res.offer.count); })
+      .catch(() => {});
+  }
+
   // ── Message listener (from background / popup) ────────────────────────────
 
   chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     try {
       if (msg.action === "DETECT_FIELDS") {
-        const fields = extractFields().map(f => f.label);
-        sendResponse({ ok: true, fields, count: fields.length, domain: _detectDomain() });
+        _sitePolicy().then(rule => {
+          const found   = rule.neverFill ? [] : extractFields();
+          const fields  = found.map(_descriptor);
+          const choices = {};
+          for (const f of found) if (f.choice) choices[f.id] = f.choice;
+          sendResponse({
+            ok: true, fields, choices, count: fields.length, blocked: Boolean(rule.neverFill),
+            domain: rule.domain || _detectDomain(), origin: location.origin, lang: _pageLang()
+          });
+        });
       } else if (msg.action === "INJECT_AUTOFILL") {
-        const count = injectValues(msg.filled, msg.meta);
-        sendResponse({ ok: true, count });
+        injectValues(msg.filled, msg.meta, msg.episodeId, msg.idPrefix || "")
+          .then(count => sendResponse({ ok: true, count }))
+          .catch(err => sendResponse({ error: String(err) }));
+      } else if (msg.action === "EXPAND_SECTIONS") {
+        Promise.all(Object.entries(msg.sections || {}).map(([key, n]) => expandSection(key, n)))
+          .then(added => sendResponse({ ok: true, added: added.reduce((a, b) => a + b, 0) }));
       } else if (msg.action === "COLLECT_FORM") {
-        sendResponse({ ok: true, form: collectFormValues() });
+        _sitePolicy().then(rule => {
+          sendResponse({
+            ok: true, form: rule.neverLearn ? {} : collectFormValues(),
+            repeats: rule.neverLearn ? [] : collectRepeats(),
+            blocked: Boolean(rule.neverLearn),
+            domain: rule.domain || _detectDomain(), origin: location.origin, lang: _pageLang()
+          });
+        });
       } else {
         sendResponse({ error: "Unknown content action: " + msg.action });
       }
@@ -170,6 +779,20 @@
     return true;
   });
 
+  // ── Site policy lookup (rules live in the background agent) ──────────────
+
+  function _sitePolicy() {
+    return chrome.runtime.sendMessage({ action: "GET_POLICY", origin: location.origin })
+      .then(res => res?.rule || {})
+      .catch(() => ({}));
+  }
+
+  // ── Page language from <html lang> (null when untagged) ──────────────────
+
+  function _pageLang() {
+    return document.documentElement.getAttribute("lang")?.trim() || null;
+  }
+
   // ── Domain detection from URL ─────────────────────────────────────────────
 
   function _detectDomain() {
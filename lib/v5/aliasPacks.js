@@ -0,0 +1,284 @@
+(function initAutoFillGraphV5AliasPacks(root) {
+  "use strict";
+
+  // ── Alias packs ───────────────────────────────────────────────────────────
+  // Per-language field-label aliases for the built-in properties; the
+  // English aliases live in Schema.PROPERTY_DEFINITIONS.  FieldMapper matches
+  // a label exactly against every pack, but only lets the page's language
+  // (<html lang>, sent with DETECT_FIELDS — or the label's script on an
+  // untagged page) take part in substring and embedding matching, so short
+  // foreign words ("land", "nom") cannot hijack English labels.  Aliases are
+  // written as they appear on forms; the mapper normalises them and also
+  // indexes the diacritic-free form ("Straße" → "strasse").
+
+  const ALIAS_PACKS = Object.freeze({
+    de: {
+      full_name:        ["name", "vollständiger name", "vor- und nachname", "name, vorname", "vor und zuname"],
+      first_name:       ["vorname", "rufname"],
+      last_name:        ["nachname", "familienname", "zuname", "geburtsname"],
+      email:            ["e-mail", "e-mail-adresse", "email adresse", "elektronische post"],
+      work_email:       ["geschäftliche e-mail", "dienstliche e-mail"],
+      phone:            ["telefon", "telefonnummer", "tel", "handy", "mobilnummer", "rufnummer", "mobiltelefon"],
+      address:          ["anschrift", "adresse", "straße", "strasse", "straße und hausnummer", "wohnanschrift"],
+      city:             ["ort", "stadt", "wohnort"],
+      state:            ["bundesland"],
+      region:           ["region", "landkreis"],
+      zip_code:         ["plz", "postleitzahl"],
+      country:          ["land", "staat"],
+      university:       ["universität", "hochschule", "fachhochschule"],
+      department:       ["fachbereich", "fakultät", "studiengang", "studienfach"],
+      degree:           ["abschluss", "studienabschluss", "akademischer grad"],
+      gpa:              ["notendurchschnitt", "abschlussnote", "gesamtnote"],
+      graduation_date:  ["abschlussdatum", "datum des abschlusses"],
+      thesis:           ["abschlussarbeit", "dissertation", "masterarbeit", "bachelorarbeit"],
+      advisor:          ["betreuer", "doktorvater", "doktormutter"],
+      research_interests: ["forschungsinteressen", "forschungsschwerpunkte"],
+      employer:         ["arbeitgeber", "firma", "unternehmen"],
+      job_title:        ["berufsbezeichnung", "beruf", "position", "stellenbezeichnung", "tätigkeit"],
+      skills:           ["fähigkeiten", "kenntnisse", "kompetenzen"],
+      years_experience: ["berufserfahrung", "jahre berufserfahrung"],
+      resume:           ["lebenslauf"],
+      bio:              ["über mich", "kurzbiografie"],
+      allergies:        ["allergien", "unverträglichkeiten"],
+      blood_type:       ["blutgruppe"],
+      insurance_id:     ["versichertennummer", "krankenversicherungsnummer", "versicherungsnummer"],
+      conditions:       ["vorerkrankungen", "erkrankungen", "diagnosen"],
+      medications:      ["medikamente", "medikation"],
+      primary_care:     ["hausarzt", "hausärztin"],
+      ssn:              ["sozialversicherungsnummer", "rentenversicherungsnummer"],
+      tax_id:           ["steuer-id", "steueridentifikationsnummer", "steuernummer"],
+      bank_name:        ["bank", "kreditinstitut", "name der bank"],
+      annual_income:    ["jahreseinkommen", "bruttojahreseinkommen", "einkommen"],
+      passport_number:  ["reisepassnummer", "passnummer"],
+      visa_status:      ["aufenthaltsstatus", "aufenthaltstitel", "visumstatus"],
+      drivers_license:  ["führerscheinnummer", "führerschein"],
+      citizenship:      ["staatsangehörigkeit", "nationalität"],
+      profile_photo:    ["passbild", "lichtbild", "profilbild", "foto"],
+      signature:        ["unterschrift"]
+    },
+
+    fr: {
+      full_name:        ["nom complet", "nom et prénom", "nom prénom", "prénom et nom"],
+      first_name:       ["prénom", "prénoms"],
+      last_name:        ["nom", "nom de famille", "nom de naissance"],
+      email:            ["courriel", "adresse e-mail", "adresse électronique", "e-mail"],
+      work_email:       ["courriel professionnel", "e-mail professionnel"],
+      phone:            ["téléphone", "numéro de téléphone", "portable", "tél"],
+      address:          ["adresse", "adresse postale", "domicile"],
+      city:             ["ville", "commune", "localité"],
+      state:            ["département", "province"],
+      region:           ["région"],
+      zip_code:         ["code postal"],
+      country:          ["pays"],
+      university:       ["université", "établissement", "école"],
+      department:       ["filière", "spécialité", "faculté"],
+      degree:           ["diplôme", "niveau d'études"],
+      gpa:              ["moyenne", "moyenne générale", "mention"],
+      graduation_date:  ["date d'obtention du diplôme", "date de diplôme"],
+      thesis:           ["thèse", "mémoire"],
+      advisor:          ["directeur de thèse", "directrice de thèse", "encadrant"],
+      research_interests: ["intérêts de recherche", "thèmes de recherche"],
+      employer:         ["employeur", "entreprise", "société"],
+      job_title:        ["poste", "intitulé du poste", "fonction", "profession"],
+      skills:           ["compétences"],
+      years_experience: ["années d'expérience", "expérience professionnelle"],
+      resume:           ["cv", "curriculum vitae"],
+      bio:              ["biographie", "à propos de vous"],
+      allergies:        ["allergies"],
+      blood_type:       ["groupe sanguin"],
+      insurance_id:     ["numéro de mutuelle", "numéro d'assuré"],
+      conditions:       ["antécédents médicaux", "maladies"],
+      medications:      ["médicaments", "traitement en cours"],
+      primary_care:     ["médecin traitant"],
+      ssn:              ["numéro de sécurité sociale", "nir"],
+      tax_id:           ["numéro fiscal", "numéro d'identification fiscale"],
+      bank_name:        ["banque", "nom de la banque"],
+      annual_income:    ["revenu annuel", "revenus"],
+      passport_number:  ["numéro de passeport"],
+      visa_status:      ["titre de séjour", "statut de visa"],
+      drivers_license:  ["permis de conduire", "numéro de permis"],
+      citizenship:      ["nationalité", "citoyenneté"],
+      profile_photo:    ["photo d'identité", "photo"],
+      signature:        ["signature"]
+    },
+
+    es: {
+      full_name:        ["nombre completo", "nombre y apellidos", "apellidos y nombre"],
+      first_name:       ["nombre", "nombres", "nombre de pila"],
+      last_name:        ["apellido", "apellidos", "primer apellido"],
+      email:            ["correo electrónico", "correo", "email"],
+      work_email:       ["correo del trabajo", "correo corporativo"],
+      phone:            ["teléfono", "número de teléfono", "móvil", "celular"],
+      address:          ["dirección", "domicilio", "calle"],
+      city:             ["ciudad", "localidad", "municipio"],
+      state:            ["estado", "provincia"],
+      region:           ["región", "comunidad autónoma"],
+      zip_code:         ["código postal", "cp"],
+      country:          ["país"],
+      university:       ["universidad", "institución", "centro de estudios"],
+      department:       ["facultad", "carrera", "especialidad"],
+      degree:           ["título", "titulación", "grado académico"],
+      gpa:              ["nota media", "promedio", "calificación media"],
+      graduation_date:  ["fecha de graduación", "fecha de titulación"],
+      thesis:           ["tesis", "trabajo de fin de grado"],
+      advisor:          ["director de tesis", "directora de tesis", "tutor"],
+      research_interests: ["intereses de investigación", "líneas de investigación"],
+      employer:         ["empresa", "empleador"],
+      job_title:        ["cargo", "puesto", "profesión", "ocupación"],
+      skills:           ["habilidades", "competencias", "conocimientos"],
+      years_experience: ["años de experiencia", "experiencia laboral"],
+      resume:           ["currículum", "curriculum vitae", "cv"],
+      bio:              ["biografía", "sobre mí"],
+      allergies:        ["alergias"],
+      blood_type:       ["grupo sanguíneo", "tipo de sangre"],
+      insurance_id:     ["número de seguro", "número de afiliación"],
+      conditions:       ["enfermedades", "antecedentes médicos"],
+      medications:      ["medicamentos", "medicación"],
+      primary_care:     ["médico de cabecera", "médico de familia"],
+      ssn:              ["número de la seguridad social", "nss"],
+      tax_id:           ["nif", "rfc", "número de identificación fiscal"],
+      bank_name:        ["banco", "entidad bancaria"],
+      annual_income:    ["ingresos anuales", "ingresos"],
+      passport_number:  ["número de pasaporte", "pasaporte"],
+      visa_status:      ["situación migratoria", "tipo de visado"],
+      drivers_license:  ["licencia de conducir", "carnet de conducir", "permiso de conducir"],
+      citizenship:      ["nacionalidad", "ciudadanía"],
+      profile_photo:    ["foto", "fotografía"],
+      signature:        ["firma"]
+    },
+
+    hi: {
+      full_name:        ["पूरा नाम", "नाम", "आवेदक का नाम"],
+      first_name:       ["पहला नाम", "प्रथम नाम"],
+      last_name:        ["उपनाम", "अंतिम नाम", "कुलनाम"],
+      email:            ["ईमेल", "ई-मेल", "ईमेल पता"],
+      phone:            ["फ़ोन", "फोन नंबर", "मोबाइल", "मोबाइल नंबर", "दूरभाष"],
+      address:          ["पता", "पूरा पता", "स्थायी पता"],
+      city:             ["शहर", "नगर"],
+      state:            ["राज्य"],
+      region:           ["ज़िला", "जिला"],
+      zip_code:         ["पिन कोड", "पिनकोड"],
+      country:          ["देश"],
+      university:       ["विश्वविद्यालय", "संस्थान"],
+      department:       ["विभाग", "विषय"],
+      degree:           ["उपाधि", "डिग्री"],
+      gpa:              ["अंक", "प्रतिशत", "ग्रेड"],
+      graduation_date:  ["स्नातक तिथि"],
+      employer:         ["नियोक्ता", "कंपनी"],
+      job_title:        ["पद", "पदनाम", "व्यवसाय"],
+      skills:           ["कौशल"],
+      years_experience: ["अनुभव", "अनुभव वर्ष"],
+      allergies:        ["एलर्जी"],
+      blood_type:       ["रक्त समूह"],
+      medications:      ["दवाइयाँ", "दवाएं"],
+      tax_id:           ["पैन", "पैन नंबर"],
+      bank_name:        ["बैंक का नाम", "बैंक"],
+      annual_income:    ["वार्षिक आय", "आय"],
+      passport_number:  ["पासपोर्ट संख्या", "पासपोर्ट नंबर"],
+      citizenship:      ["नागरिकता", "राष्ट्रीयता"],
+      profile_photo:    ["फोटो", "फ़ोटो"],
+      signature:        ["हस्ताक्षर"]
+    },
+
+    zh: {
+      full_name:        ["姓名", "全名", "申请人姓名"],
+      first_name:       ["名", "名字"],
+      last_name:        ["姓", "姓氏"],
+      email:            ["电子邮件", "电子邮箱", "邮箱", "電子郵件"],
+      work_email:       ["工作邮箱"],
+      phone:            ["电话", "电话号码", "手机", "手机号码", "联系电话", "電話"],
+      address:          ["地址", "住址", "通讯地址", "地址详情"],
+      city:             ["城市", "市"],
+      state:            ["省", "省份"],
+      region:           ["地区", "区县"],
+      zip_code:         ["邮编", "邮政编码", "郵遞區號"],
+      country:          ["国家", "國家"],
+      university:       ["学校", "大学", "毕业院校", "大學"],
+      department:       ["专业", "院系", "科系"],
+      degree:           ["学位", "学历"],
+      gpa:              ["绩点", "平均成绩"],
+      graduation_date:  ["毕业时间", "毕业日期"],
+      thesis:           ["论文", "毕业论文"],
+      advisor:          ["导师", "指导老师"],
+      research_interests: ["研究方向", "研究兴趣"],
+      employer:         ["工作单位", "公司", "雇主"],
+      job_title:        ["职位", "职务", "职称"],
+      skills:           ["技能", "专长"],
+      years_experience: ["工作年限", "工作经验"],
+      resume:           ["简历"],
+      bio:              ["个人简介", "自我介绍"],
+      allergies:        ["过敏史", "过敏"],
+      blood_type:       ["血型"],
+      insurance_id:     ["医保卡号", "保险号"],
+      conditions:       ["病史", "既往病史"],
+      medications:      ["用药", "药物"],
+      ssn:              ["身份证号", "身份证号码", "社会保障号"],
+      tax_id:           ["纳税人识别号", "税号"],
+      bank_name:        ["开户银行", "银行"],
+      annual_income:    ["年收入"],
+      passport_number:  ["护照号码", "护照号"],
+      visa_status:      ["签证类型", "签证状态"],
+      drivers_license:  ["驾驶证号", "驾照号码"],
+      citizenship:      ["国籍"],
+      profile_photo:    ["照片", "证件照"],
+      signature:        ["签名", "签字"]
+    },
+
+    ja: {
+      full_name:        ["氏名", "お名前", "名前", "フルネーム"],
+      first_name:       ["名", "下の名前"],
+      last_name:        ["姓", "苗字", "名字"],
+      email:            ["メールアドレス", "メール", "eメール"],
+      work_email:       ["勤務先メールアドレス"],
+      phone:            ["電話番号", "電話", "携帯電話", "携帯番号"],
+      address:          ["住所", "ご住所", "番地"],
+      city:             ["市区町村"],
+      state:            ["都道府県"],
+      zip_code:         ["郵便番号", "郵便"],
+      country:          ["国", "国名"],
+      university:       ["大学", "学校名", "出身校"],
+      department:       ["学部", "学科", "専攻"],
+      degree:           ["学位"],
+      gpa:              ["成績", "評定平均"],
+      graduation_date:  ["卒業年月日", "卒業日", "卒業年月"],
+      thesis:           ["論文", "卒業論文"],
+      advisor:          ["指導教員"],
+      research_interests: ["研究分野", "研究テーマ"],
+      employer:         ["勤務先", "会社名"],
+      job_title:        ["役職", "職種", "職業"],
+      skills:           ["スキル", "資格"],
+      years_experience: ["経験年数", "実務経験"],
+      resume:           ["履歴書"],
+      bio:              ["自己紹介", "自己pr"],
+      allergies:        ["アレルギー"],
+      blood_type:       ["血液型"],
+      insurance_id:     ["保険証番号", "被保険者番号"],
+      conditions:       ["既往歴", "持病"],
+      medications:      ["服用中の薬", "常用薬"],
+      primary_care:     ["かかりつけ医"],
+      ssn:              ["マイナンバー", "個人番号"],
+      bank_name:        ["銀行名", "金融機関名"],
+      annual_income:    ["年収"],
+      passport_number:  ["旅券番号", "パスポート番号"],
+      visa_status:      ["在留資格", "ビザ"],
+      drivers_license:  ["運転免許証番号", "運転免許"],
+      citizenship:      ["国籍"],
+      profile_photo:    ["写真", "証明写真"],
+      signature:        ["署名", "サイン"]
+    }
+  });
+
+  const LANGUAGES = Object.freeze(Object.keys(ALIAS_PACKS));
+
+  // BCP 47 tag → pack key ("de-AT" → "de", "zh-Hant-TW" → "zh"); null when
+  // there is no pack for the language
+  function baseLanguage(tag) {
+    const base = String(tag || "").trim().toLowerCase().split(/[-_]/)[0];
+    return ALIAS_PACKS[base] ? base : null;
+  }
+
+  const api = Object.freeze({ ALIAS_PACKS, LANGUAGES, baseLanguage });
+
+  root.AutoFillGraphV5AliasPacks = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -14,11 +14,23 @@
   const LLMApi           = root.AutoFillGraphV5LLMClient;
   const NarratorApi      = root.AutoFillGraphV5Narrator;
   const OCRApi           = root.AutoFillGraphV5OCR;
+  const VaultApi         = root.AutoFillGraphV5Vault;
+  const ConsentApi       = root.AutoFillGraphV5Consent;
+  const PolicyApi        = root.AutoFillGraphV5Policy;
+  const OptionApi        = root.AutoFillGraphV5OptionMatcher;
+  const PersonaApi       = root.AutoFillGraphV5Persona;
+  const BudgetApi        = root.AutoFillGraphV5Budget;
+  const RedactorApi      = root.AutoFillGraphV5Redactor;
+  const CacheApi         = root.AutoFillGraphV5LLMCache;
+  const ValidatorApi     = root.AutoFillGraphV5GenerationValidator;
+  const PromoterApi      = root.AutoFillGraphV5SchemaPromoter;
 
   const REQUIRED = [
     Schema, Utils, TemporalKGApi, MemoryApi, ConsolidatorApi,
     FieldMapperApi, RouterApi, RetrieverApi, InferenceApi,
-    CompositionalApi, LLMApi, NarratorApi, OCRApi
+    CompositionalApi, LLMApi, NarratorApi, OCRApi, VaultApi, ConsentApi,
+    PolicyApi, OptionApi, PersonaApi, BudgetApi, RedactorApi,
+    CacheApi, ValidatorApi, PromoterApi
   ];
   if (REQUIRED.some(m => !m)) {
     throw new Error("AutoFillAgentV5: one or more required modules not loaded.");
@@ -28,17 +40,23 @@
   // Full agentic orchestrator mirroring Prototype5 AutoFillAgent.
   //
   // Pipeline:
+  //   0. Repeating blocks — block i of a section ← item i of a KG list
   //   1. Image gate       — document upload fields → IMAGE route
   //   2. Compositional    — multi-part fields (full_address, contact_info…)
-  //   3. Field mapping    — 3-phase label resolution
+  //                         from components the consent guard allows
+  //   3. Field mapping    — autocomplete token, then 3-phase label resolution
+  //      Consent guard    — skip props the user chose "never" for on this origin
   //   4. Domain guard     — abstain if sensitive domain has no user data
   //   5. Local lookup     — direct KG hit → LOCAL route, bandit stats
   //   6. Inferred         — bandit decides LOCAL vs LLM for inferred-only values
   //   7. LLM batch        — retrieval-augmented generation via Mistral
   //   8. Long-form QA     — answerQuestion() for narrative fields
+  //   9. Option matching  — snap values onto select / radio / checkbox choices
 
   class AutoFillAgentV5 {
     constructor(options = {}) {
+      // The custom schema registry is shared module state; the agent owns it
+      Schema.loadCustom(options.schema);
       this.kg           = new TemporalKGApi.TemporalKG(options.kg);
       this.epi          = new MemoryApi.EpisodicMemory(options.epi);
       this.working      = new MemoryApi.WorkingMemory();
@@ -49,63 +67,197 @@
       this.comp         = new CompositionalApi.CompositionalResolver();
       this.consolidator = new ConsolidatorApi.MemoryConsolidator();
       this.ocr          = new OCRApi.OCRHandler();
-      this.llm          = options.llm || new LLMApi.MistralClient({ apiKey: options.apiKey || "" });
-      this.narrator     = new NarratorApi.Narrator(this.llm, this.retriever);
+      this.vault        = new VaultApi.Vault(options.vault);
+      this.consent      = new ConsentApi.ConsentLedger(options.consent);
+      this.policy       = new PolicyApi.SitePolicy(options.policy);
+      this.options      = new OptionApi.OptionMatcher();
+      this.personas     = new PersonaApi.PersonaRegistry(options.personas);
+      this.promoter     = new PromoterApi.SchemaPromoter(options.promoter);
+      this.budget       = new BudgetApi.LLMBudget(options.budget);
+      this.redactor     = new RedactorApi.Redactor();
+      this.audit        = new RedactorApi.AuditLog(options.audit);
+      this.llm          = this._guardOutbound(
+        options.llm || LLMApi.createLLMClient({ apiKey: options.apiKey || "" })
+      );
+      this.cache        = new CacheApi.ResponseCache(options.cache);
+      this.validator    = new ValidatorApi.GenerationValidator();
+      this.narrator     = new NarratorApi.Narrator(this.llm, this.retriever, this.budget, this.cache);
       this._epCounter   = options.epCounter || 0;
 
       // Rebuild retriever index if KG already has data
-      if (options.kg) this.retriever.rebuild(this.kg);
+      if (options.kg) this._reindex();
     }
 
     // ── Learn from a form submission ───────────────────────────────────────
     // form: {label: value, ...}
-    // returns { learned: [{label, prop, value, phase, score}], inferred: [{prop, value, rule}] }
-
-    learn(form, context = "human") {
+    // options.repeats — [{key, blocks: [{label: value}, …]}]: repeating
+    //                   sections in page order (stored as list items)
+    // options.subject — whose values these are when a label carries no cue
+    //                   (Schema.SUBJECT_DEFINITIONS key, default self)
+    // options.persona — overlay for the user's own values: a value goes there
+    //                   when the persona already overrides the property or
+    //                   the base profile holds a different value
+    // options.lang    — page language (<html lang>) for the alias packs
+    // options.origin  — page origin: labels are pinned to their properties
+    //                   for that site, and site-scoped mapping feedback applies
+    // returns { learned: [{label, prop, value, phase, score, subject}],
+    //           inferred: [{prop, value, rule}], lists: [{list, items}],
+    //           rejected: [{label, prop, value, reason, detected}] }
+    // A value that fails its property's Schema type is not stored; `detected`
+    // names the type it does look like (a phone typed into the email box).
+    // (learned[].persona is the active persona, not necessarily where the value went)
+
+    learn(form, context = "human", options = {}) {
+      const { repeats = [] } = options;
+      const defaultSubject = _subjectOrSelf(options.subject);
+      const persona = this.personas.resolve(options.persona);
+      const base    = persona ? this.kg.current(Schema.Sensitivity.ENCRYPTED) : {};
+      const over    = persona ? this.kg.overlay(persona, Schema.Sensitivity.ENCRYPTED) : {};
       const learned = [];
+      const rejected = [];
       for (const [label, value] of Object.entries(form)) {
         const v = String(value || "").trim();
         if (!v || v === "UNKNOWN") continue;
 
-        const { prop, phase, score } = this.mapper.map(label);
-        const finalProp = prop || Utils.canonicalId(label);
+        const cue     = this.mapper.subjectOf(label);
+        const subject = cue ? cue.subject : defaultSubject;
+        const text    = cue ? cue.rest : label;
+        const { prop, phase, score } = this.mapper.map(label, { lang: options.lang, origin: options.origin });
+        const finalProp = prop || Utils.canonicalId(text);
+
+        const check = Schema.validateValue(finalProp, v);
+        if (!check.ok) {
+          rejected.push({ label, prop: finalProp, value: v, reason: check.reason, detected: Schema.detectValueType(v) });
+          continue;
+        }
 
-        this.kg.store(finalProp, v, context, Math.max(score, 0.80));
-        this.mapper.learnMapping(label, finalProp);
-        learned.push({ label, prop: finalProp, value: v, phase, score: Math.round(score * 1000) / 1000 });
+        const conf = Math.max(score, 0.80);
+        if (subject === Schema.SELF && persona &&
+            (over[finalProp] !== undefined || (base[finalProp] !== undefined && String(base[finalProp]) !== check.value))) {
+          this.kg.storeOverlay(persona, finalProp, v, context, conf);
+        } else {
+          this.kg.store(finalProp, v, context, conf, true, subject);
+        }
+        this.mapper.learnMapping(text, finalProp, options.origin);
+        learned.push({
+          label, prop: finalProp, value: check.value, phase, subject, persona,
+          score: Math.round(score * 1000) / 1000
+        });
+        if (subject !== Schema.SELF) continue;
 
         // Add organisation relations
         if (finalProp === "university") this.kg.addEntity(Schema.EntityType.ORGANIZATION, v, Schema.RelationType.STUDIED_AT);
         if (finalProp === "employer")   this.kg.addEntity(Schema.EntityType.ORGANIZATION, v, Schema.RelationType.EMPLOYED_AT);
       }
 
+      const lists = [];
+      for (const { blocks = [] } of repeats || []) {
+        const labels = Utils.unique(blocks.flatMap(b => Object.keys(b || {})));
+        const list   = this._sectionList(labels);
+        if (!list) continue;
+        let n = 0;
+        blocks.forEach((block, index) => {
+          const fields = {};
+          for (const [label, value] of Object.entries(block || {})) {
+            const hit = this.mapper.mapListField(label).find(h => h.list === list);
+            const v   = String(value || "").trim();
+            if (hit && v && v !== "UNKNOWN") fields[hit.field] = v;
+          }
+          if (!Object.keys(fields).length) return;
+          this.kg.upsertListItem(list, index, fields, context);
+          n++;
+        });
+        if (n) lists.push({ list, items: n });
+      }
+
       const inferred = this.inf.run(this.kg);
-      this.retriever.rebuild(this.kg);
-      return { learned, inferred };
+      this._reindex();
+      return { learned, inferred, lists, rejected };
     }
 
-    // ── Autofill a list of field labels ────────────────────────────────────
-    // Returns FillEpisode (async due to LLM batch)
+    // ── Which list does a repeating section describe? ──────────────────────
+    // Sum of sub-field match scores per list; ties go to the list with more
+    // stored items ("Start date" / "End date" alone fit several lists).
+
+    _sectionList(labels) {
+      const tally = {};
+      for (const label of labels) {
+        for (const { list, score } of this.mapper.mapListField(label)) {
+          tally[list] = (tally[list] || 0) + score;
+        }
+      }
+      let best = null;
+      for (const [list, s] of Object.entries(tally)) {
+        if (!best || s > tally[best] ||
+            (s === tally[best] && this.kg.listItems(list).length > this.kg.listItems(best).length)) {
+          best = list;
+        }
+      }
+      return best;
+    }
 
-    async autofill(fields, domain = "general", useLlm = true) {
+    // ── Autofill a list of fields ──────────────────────────────────────────
+    // Returns FillEpisode (async due to LLM batch)
+    // fields: [{id, label, autocomplete, …}] descriptors from the content
+    // script, or bare label strings (id = label).  Results, filled values and feedback are keyed by
+    // field id, so two fields sharing a label are resolved independently.
+    // options.origin         — page origin, used for per-site consent rules
+    // options.maxSensitivity — site policy cap below the domain's own limit
+    // options.choices        — {id: {kind, multi, options}} for choice fields
+    // options.subject        — whose details the form asks for when a label
+    //                          carries no subject cue (default self)
+    // options.persona        — persona overlay on the user's own values
+    // options.lang           — page language (<html lang>) for the alias packs
+
+    async autofill(fields, domain = "general", useLlm = true, options = {}) {
+      const origin = options.origin || null;
       this._epCounter++;
       const epId = `ep_${String(this._epCounter).padStart(4, "0")}`;
+      const items = _normalizeFields(fields, options.lang);
       this.working.reset();
-      this.working.activeFields = fields;
+      this.working.activeFields = items.map(f => f.label);
 
       // Determine max sensitivity level for this domain
-      const maxSens = Schema.DOMAIN_MAX_SENSITIVITY[domain] || Schema.Sensitivity.PUBLIC;
-      const cur     = this.kg.current(maxSens);
+      let maxSens = Schema.DOMAIN_MAX_SENSITIVITY[domain] || Schema.Sensitivity.PUBLIC;
+      const cap   = options.maxSensitivity;
+      if (cap && Schema.SENSITIVITY_RANK[cap] < Schema.SENSITIVITY_RANK[maxSens]) maxSens = cap;
+      const persona = this.personas.resolve(options.persona);
+      const cur     = this.kg.current(maxSens, Schema.SELF, persona);
+      const over    = persona ? this.kg.overlay(persona, maxSens) : {};
+      const shareable = Object.fromEntries(
+        Object.entries(cur).filter(([p]) => !this.consent.isBlocked(origin, p)));
 
       const results = {};
       const llmQueue = [];
       const llmPropMap = {};
-
-      for (const label of fields) {
+      const llmLocal = {};
+      const labelOf = {};
+      const defaultSubject = _subjectOrSelf(options.subject);
+      const subjectCur = {};
+
+      // 0. Repeating sections — fields carrying repeat: {key, index}
+      const sections = this._fillSections(items, results, origin);
+
+      for (const field of items) {
+        const { id, label } = field;
+        labelOf[id] = label;
+        if (results[id]) continue;
+
+        // Other people (spouse, child, emergency contact): their own values only
+        const subject = this.mapper.subjectOf(label)?.subject || defaultSubject;
+        if (subject !== Schema.SELF) {
+          subjectCur[subject] = subjectCur[subject] || this.kg.current(maxSens, subject);
+          results[id] = this._fillForSubject(field, subject, subjectCur[subject], origin);
+          continue;
+        }
         // 1. Image gate
         const imgCat = this.ocr.categoriseUpload(label);
+        if (imgCat && this.consent.isBlocked(origin, imgCat)) {
+          results[id] = _consentBlocked(label, imgCat);
+          continue;
+        }
         if (imgCat && cur[imgCat]) {
-          results[label] = new MemoryApi.FillResult(label, {
+          results[id] = new MemoryApi.FillResult(label, {
             prop: imgCat, value: cur[imgCat],
             status: Schema.FillStatus.IMAGE_FILLED,
             route: Schema.Route.IMAGE, confidence: 0.95
@@ -113,18 +265,27 @@
           continue;
         }
 
-        // 2. Compositional
-        const comp = this.comp.resolve(label, cur);
-        if (comp) { results[label] = comp; continue; }
+        // 2. Compositional — built only from components the consent guard
+        //    lets through (cur is already capped at maxSens)
+        const comp = this.comp.resolve(label, shareable);
+        if (comp && this.consent.isBlocked(origin, comp.prop)) {
+          results[id] = _consentBlocked(label, comp.prop);
+          continue;
+        }
+        if (comp) { results[id] = comp; continue; }
 
         // 3. Field mapping
-        const { prop, phase, score } = this.mapper.map(label);
+        const { prop, phase, score } = this.mapper.map(field, { origin });
+        if (this.consent.isBlocked(origin, prop)) {
+          results[id] = _consentBlocked(label, prop);
+          continue;
+        }
 
         // 4. Domain guard
         if (prop) {
           const propDomain = _domainOf(prop);
           if (propDomain && !this.kg.hasDomainData(propDomain)) {
-            results[label] = new MemoryApi.FillResult(label, {
+            results[id] = new MemoryApi.FillResult(label, {
               prop, value: "UNKNOWN",
               status: Schema.FillStatus.UNKNOWN,
               route: Schema.Route.DOMAIN_GUARD,
@@ -138,11 +299,11 @@
         if (prop && cur[prop] !== undefined) {
           const histAcc = this.epi.accuracyFor(prop);
           const conf    = Math.min(0.99, 0.6 * Math.max(score, 0.7) + 0.4 * histAcc);
-          results[label] = new MemoryApi.FillResult(label, {
+          results[id] = new MemoryApi.FillResult(label, {
             prop, value: cur[prop],
             status: Schema.FillStatus.FILLED,
             route: Schema.Route.LOCAL, confidence: conf,
-            evidence: [`${phase}:${score.toFixed(3)}`]
+            evidence: [`${phase}:${score.toFixed(3)}`, ...(over[prop] !== undefined ? [`persona:${persona}`] : [])]
           });
           // Register bandit decision so stats accumulate
           const lEmb = this.mapper.embedLabel(label);
@@ -160,43 +321,61 @@
         if (armIdx === 0 || (armIdx === 1 && !useLlm)) {
           if (inferredVals.length) {
             const best = inferredVals.sort((a, b) => b.confidence - a.confidence)[0];
-            results[label] = new MemoryApi.FillResult(label, {
+            results[id] = new MemoryApi.FillResult(label, {
               prop, value: best.value,
               status: Schema.FillStatus.INFERRED,
               route: Schema.Route.INFERENCE,
               confidence: best.confidence, evidence: [best.source]
             });
           } else {
-            results[label] = new MemoryApi.FillResult(label, {
+            results[id] = new MemoryApi.FillResult(label, {
               prop, value: "UNKNOWN",
               status: Schema.FillStatus.UNKNOWN,
               route: Schema.Route.LOCAL, confidence: 0, reason: "no_data"
             });
           }
         } else {
-          llmQueue.push(label);
-          llmPropMap[label] = prop;
+          llmQueue.push(id);
+          llmPropMap[id] = prop;
+          if (inferredVals.length) llmLocal[id] = inferredVals.sort((a, b) => b.confidence - a.confidence)[0];
         }
       }
 
-      // 7. LLM batch fill
-      if (llmQueue.length && this.llm.available()) {
-        await this._llmBatchFill(llmQueue, llmPropMap, cur, domain, results);
+      // 7. LLM batch fill.  A cached answer is used even when the provider is
+      //    down or the budget is spent (as Narrator does); otherwise degrades
+      //    to inferred / UNKNOWN when over budget.
+      const prompt    = llmQueue.length ? this._llmFillPrompt(llmQueue, labelOf, cur) : null;
+      const cachedRes = prompt ? this.cache.get(prompt.cacheKey) : undefined;
+      const budgetOk  = this.budget.allows();
+      if (cachedRes !== undefined) {
+        this._applyLlmFill(llmQueue, labelOf, llmPropMap, prompt, cachedRes, true, results);
+      } else if (llmQueue.length && this.llm.available() && budgetOk) {
+        await this.budget.meter(this.llm,
+          () => this._llmBatchFill(llmQueue, labelOf, llmPropMap, prompt, results));
       } else {
-        for (const label of llmQueue) {
-          results[label] = results[label] || new MemoryApi.FillResult(label, {
-            prop: llmPropMap[label], value: "UNKNOWN",
-            status: Schema.FillStatus.UNKNOWN,
-            route: Schema.Route.LOCAL, confidence: 0,
-            reason: "llm_unavailable"
-          });
+        for (const id of llmQueue) {
+          const local = llmLocal[id];
+          results[id] = results[id] || (local
+            ? new MemoryApi.FillResult(labelOf[id], {
+                prop: llmPropMap[id], value: local.value,
+                status: Schema.FillStatus.INFERRED,
+                route: Schema.Route.INFERENCE,
+                confidence: local.confidence, evidence: [local.source],
+                reason: budgetOk ? "llm_unavailable" : "budget_exhausted"
+              })
+            : new MemoryApi.FillResult(labelOf[id], {
+                prop: llmPropMap[id], value: "UNKNOWN",
+                status: Schema.FillStatus.UNKNOWN,
+                route: Schema.Route.LOCAL, confidence: 0,
+                reason: budgetOk ? "llm_unavailable" : "budget_exhausted"
+              }));
         }
       }
 
       // Ensure all fields have a result
-      for (const label of fields) {
-        if (!results[label]) {
-          results[label] = new MemoryApi.FillResult(label, {
+      for (const { id, label } of items) {
+        if (!results[id]) {
+          results[id] = new MemoryApi.FillResult(label, {
             prop: null, value: "UNKNOWN",
             status: Schema.FillStatus.UNKNOWN,
             route: Schema.Route.LOCAL, confidence: 0, reason: "no_route"
@@ -204,13 +383,124 @@
         }
       }
 
-      return new MemoryApi.FillEpisode({ id: epId, domain, fields, results });
+      // 9. Option matching
+      this._matchChoices(options.choices || {}, results);
+
+      return new MemoryApi.FillEpisode({ id: epId, domain, fields: items, results, sections, persona, origin });
+    }
+
+    // ── Fields about another person ────────────────────────────────────────
+    // Direct lookup in the subject's own timeline.  No inference, LLM or
+    // fallback to the user's values: a missing spouse phone stays UNKNOWN.
+
+    _fillForSubject(field, subject, cur, origin) {
+      const { prop, phase, score } = this.mapper.map(field, { origin });
+      if (this.consent.isBlocked(origin, prop)) return _consentBlocked(field.label, prop);
+      if (prop && cur[prop] !== undefined) {
+        return new MemoryApi.FillResult(field.label, {
+          prop, subject, value: cur[prop],
+          status: Schema.FillStatus.FILLED,
+          route: Schema.Route.LOCAL,
+          confidence: Math.min(0.99, 0.6 * Math.max(score, 0.7) + 0.4 * this.epi.accuracyFor(prop)),
+          evidence: [`subject:${subject}`, `${phase}:${score.toFixed(3)}`]
+        });
+      }
+      return new MemoryApi.FillResult(field.label, {
+        prop, subject, value: "UNKNOWN",
+        status: Schema.FillStatus.UNKNOWN,
+        route: Schema.Route.LOCAL, confidence: 0,
+        reason: `no_${subject}_data`
+      });
+    }
+
+    // ── Repeating sections ─────────────────────────────────────────────────
+    // Block i of a section is filled from item i of the section's list; the
+    // result prop is the list path ("employment.1.employer") so feedback
+    // lands on the item.  Returns {key: {list, blocks, items}} so the caller
+    // can add blocks when the list holds more items than the page shows.
+
+    _fillSections(items, results, origin) {
+      const bySection = new Map();
+      for (const f of items) {
+        if (!f.repeat || !f.repeat.key) continue;
+        if (!bySection.has(f.repeat.key)) bySection.set(f.repeat.key, []);
+        bySection.get(f.repeat.key).push(f);
+      }
+
+      const sections = {};
+      for (const [key, fields] of bySection) {
+        const list = this._sectionList(Utils.unique(fields.map(f => f.label)));
+        if (!list) continue;
+        const listItems = this.kg.listItems(list);
+        const blocks    = Math.max(...fields.map(f => Number(f.repeat.index) || 0)) + 1;
+        sections[key] = { list, blocks, items: listItems.length };
+
+        for (const f of fields) {
+          const hit = this.mapper.mapListField(f).find(h => h.list === list);
+          if (!hit) continue;
+          const index = Number(f.repeat.index) || 0;
+          const prop  = Schema.listPath(list, index, hit.field);
+          if (this.consent.isBlocked(origin, prop)) {
+            results[f.id] = _consentBlocked(f.label, prop);
+            continue;
+          }
+          const item  = listItems[index];
+          const value = item ? item.fields[hit.field] : undefined;
+          if (value === undefined || value === "") {
+            results[f.id] = new MemoryApi.FillResult(f.label, {
+              prop, value: "UNKNOWN",
+              status: Schema.FillStatus.UNKNOWN,
+              route: Schema.Route.LOCAL, confidence: 0,
+              reason: item ? "no_data" : "no_list_item"
+            });
+            continue;
+          }
+          results[f.id] = new MemoryApi.FillResult(f.label, {
+            prop, value,
+            status: Schema.FillStatus.FILLED,
+            route: Schema.Route.LOCAL,
+            confidence: Math.min(0.99, 0.6 * hit.score + 0.4 * item.confidence),
+            evidence: [`list:${prop}`, `alias:${hit.score.toFixed(3)}`]
+          });
+        }
+      }
+      return sections;
+    }
+
+    // ── Snap resolved values onto the field's choices ──────────────────────
+    // Non-matches become UNKNOWN so the content script never writes a value
+    // the control cannot hold.
+
+    _matchChoices(choices, results) {
+      for (const [id, choice] of Object.entries(choices)) {
+        const r = results[id];
+        if (!r || r.value === "UNKNOWN" || !choice) continue;
+        const m = this.options.match(r.value, choice);
+        if (!m) {
+          results[id] = new MemoryApi.FillResult(r.field, {
+            prop: r.prop, value: "UNKNOWN",
+            status: Schema.FillStatus.UNKNOWN,
+            route: r.route, confidence: 0,
+            evidence: r.evidence, reason: `no_option_match:${choice.kind || "select"}`
+          });
+          continue;
+        }
+        r.value    = m.values || m.value;
+        r.evidence = [...r.evidence, `option:${m.phase}:${[].concat(m.texts || m.text).join("|")}`];
+        if (m.phase === "contains") r.confidence = Math.min(r.confidence, 0.75);
+      }
     }
 
     // ── LLM batch autofill (retrieval-augmented) ───────────────────────────
 
-    async _llmBatchFill(llmQueue, llmPropMap, cur, domain, results) {
-      const retrieved   = this.retriever.retrieve(llmQueue);
+    // The model sees labels (deduplicated); answers are fanned back out to
+    // every queued field id carrying that label.  _llmFillPrompt() builds the
+    // prompt and its cache key, _llmBatchFill() asks the model, and
+    // _applyLlmFill() turns a fresh or cached response into results.
+
+    _llmFillPrompt(llmQueue, labelOf, cur) {
+      const labels      = [...new Set(llmQueue.map(id => labelOf[id]))];
+      const retrieved   = this.retriever.retrieve(labels);
       const ctxTriples  = retrieved.map(x => x.triple);
       const compRatio   = this.retriever.compression(retrieved.length);
       const pubAttrs    = {};
@@ -223,24 +513,53 @@
         "Never fabricate sensitive data. Return valid JSON."
       );
       const userPrompt = [
-        `Fields: ${JSON.stringify(llmQueue)}`,
+        `Fields: ${JSON.stringify(labels)}`,
         `Memory (${ctxTriples.length}/${this.retriever.index.length} triples, ${Math.round(compRatio * 100)}% compressed):`,
         ...ctxTriples.map(t => `  - ${t}`),
         `Public profile: ${JSON.stringify(pubAttrs)}`,
         `Return JSON: {"filled": {"<Field Label>": "<value or UNKNOWN>"}}`
       ].join("\n");
 
-      const res    = await this.llm.chatJson(userPrompt, sysPrompt);
+      const cacheKey = CacheApi.ResponseCache.key(
+        ["fill", this.llm.provider, this.llm.model, sysPrompt, labels, ctxTriples, pubAttrs]
+      );
+      return { ctxTriples, compRatio, pubAttrs, sysPrompt, userPrompt, cacheKey };
+    }
+
+    async _llmBatchFill(llmQueue, labelOf, llmPropMap, prompt, results) {
+      const res = await this.llm.chatJson(prompt.userPrompt, prompt.sysPrompt);
+      if (res && res.filled && Object.keys(res.filled).length) this.cache.set(prompt.cacheKey, res, prompt.ctxTriples);
+      this._applyLlmFill(llmQueue, labelOf, llmPropMap, prompt, res, false, results);
+    }
+
+    _applyLlmFill(llmQueue, labelOf, llmPropMap, { ctxTriples, compRatio, pubAttrs }, res, cached, results) {
       const filled = (res && res.filled) ? res.filled : {};
 
-      for (const label of llmQueue) {
-        const val  = filled[label] || "UNKNOWN";
-        const st   = (val === "UNKNOWN" || !val) ? Schema.FillStatus.UNKNOWN : Schema.FillStatus.GENERATED;
-        const conf = st === Schema.FillStatus.UNKNOWN ? 0 : 0.85;
-        results[label] = new MemoryApi.FillResult(label, {
-          prop: llmPropMap[label], value: val, status: st,
-          route: Schema.Route.RETRIEVAL_LLM, confidence: conf,
-          evidence: [`retrieved:${ctxTriples.length}`, `comp:${compRatio.toFixed(2)}`]
+      // Every generation is format-checked and grounded against the context
+      // the prompt carried; unsupported values are downgraded or rejected.
+      const grounding = [...ctxTriples, ...Object.values(pubAttrs).map(String)];
+      for (const id of llmQueue) {
+        const label = labelOf[id];
+        const prop  = llmPropMap[id];
+        // A redaction placeholder echoed back is never a usable value
+        const raw   = filled[label];
+        const val   = raw && !RedactorApi.Redactor.isPlaceholder(raw) ? String(raw).trim() : "UNKNOWN";
+        const evidence = [`retrieved:${ctxTriples.length}`, `comp:${compRatio.toFixed(2)}`, ...(cached ? ["cache:hit"] : [])];
+        if (!val || val === "UNKNOWN") {
+          results[id] = new MemoryApi.FillResult(label, {
+            prop, value: "UNKNOWN", status: Schema.FillStatus.UNKNOWN,
+            route: Schema.Route.RETRIEVAL_LLM, confidence: 0, evidence
+          });
+          continue;
+        }
+        const check = this.validator.validate(val, prop, grounding);
+        const ok    = check.verdict !== "reject";
+        results[id] = new MemoryApi.FillResult(label, {
+          prop, value: ok ? check.value : "UNKNOWN",
+          status: ok ? Schema.FillStatus.GENERATED : Schema.FillStatus.UNKNOWN,
+          route: Schema.Route.RETRIEVAL_LLM, confidence: check.confidence,
+          evidence: [...evidence, `grounding:${check.coverage.toFixed(2)}`, ...(ok ? [] : [`rejected:${val}`])],
+          reason: check.reason
         });
       }
     }
@@ -253,16 +572,161 @@
 
     // ── Process feedback (HITL) ────────────────────────────────────────────
 
-    feedback(episode, fb) {
-      this.consolidator.consolidate(episode, fb, this.kg);
+    // Fields that already received the same action for this episode are
+    // ignored, so repeated badge clicks do not double-count.  Mapping
+    // feedback ("reject:mapping", "correct:mapping:<prop>") trains the
+    // FieldMapper; options.siteOnly scopes it to the episode's origin.
+
+    feedback(episode, fb, options = {}) {
+      const prior = this.epi.feedbackFor(episode.id);
+      fb = Object.fromEntries(Object.entries(fb || {}).filter(([f, a]) => prior[f] !== a));
+      if (!Object.keys(fb).length) return;
+      this.consolidator.consolidate(episode, fb, this.kg, this.mapper, options);
       this.epi.record(episode, fb);
       for (const [field, action] of Object.entries(fb)) {
         const base   = action.split(":")[0];
         const reward = this.router.rewardFromFeedback(base);
-        this.router.updateForLabel(field, reward);
+        this.router.updateForLabel(episode.results[field]?.field || field, reward);
       }
       this.inf.run(this.kg);
+      this._reindex();
+    }
+
+    // Re-embed the KG after it changed and drop cached LLM answers that
+    // were grounded on facts which no longer hold.
+    _reindex() {
       this.retriever.rebuild(this.kg);
+      this.cache.retain(this.retriever.index.map(x => x.triple));
+    }
+
+    // ── Personas ───────────────────────────────────────────────────────────
+
+    removePersona(name) {
+      this.kg.dropOverlay(name);
+      return this.personas.remove(name);
+    }
+
+    // ── Custom schema ──────────────────────────────────────────────────────
+    // User-declared properties and layers (see Schema.defineProperty).  Each
+    // change re-indexes the mapper (aliases, embeddings) and the retriever
+    // (sensitivity, alias hints).  Values already stored under the same key
+    // — e.g. an ad-hoc "t_shirt_size" — are adopted as is.
+
+    defineProperty(name, spec = {}) {
+      return this._changeSchema(() => Schema.defineProperty(name, spec));
+    }
+
+    removeProperty(name) {
+      return this._changeSchema(() => Schema.removeProperty(name));
+    }
+
+    defineLayer(name, spec = {}) {
+      return this._changeSchema(() => Schema.defineLayer(name, spec));
+    }
+
+    removeLayer(name) {
+      return this._changeSchema(() => Schema.removeLayer(name));
+    }
+
+    // Runs a registry change and re-indexes.  A change that would lower the
+    // sensitivity of a property holding values (current or past) is rolled
+    // back and throws: those values would be written in plaintext on the
+    // next save.  Raising it is fine — serialize() seals them from then on.
+    _changeSchema(change) {
+      const rank     = Schema.SENSITIVITY_RANK;
+      const before   = this.kg.propertyKeys(true).map(p => [p, Schema.getSensitivityForProperty(p)]);
+      const snapshot = Schema.serializeCustom();
+      const out      = change();
+      const lowered  = before.filter(([p, s]) => rank[Schema.getSensitivityForProperty(p)] < rank[s]);
+      if (lowered.length) {
+        Schema.loadCustom(snapshot);
+        throw new Error(`Cannot lower the sensitivity of stored values: ${lowered.map(([p]) => p).join(", ")}`);
+      }
+      if (out) this._schemaChanged();
+      return out;
+    }
+
+    // ── Orphan property promotion ──────────────────────────────────────────
+    // Ad-hoc keys learn() could not map are clustered into proposals (see
+    // SchemaPromoter).  resolveProposal(id, "accept", name?) merges the
+    // cluster into the proposed property — or into `name` when given: an
+    // existing property, else a new custom one — and moves the stored values
+    // and learned labels with it.  "discard" stops proposing those keys.
+
+    schemaProposals() {
+      return this.promoter.propose(this.kg, this.mapper);
+    }
+
+    resolveProposal(id, decision = "accept", name = null) {
+      const proposal = this.schemaProposals().find(p => p.id === id);
+      if (!proposal) return null;
+      if (decision === "discard") {
+        this.promoter.dismiss(proposal.members);
+        return { decision, members: proposal.members };
+      }
+
+      let target = name ? Utils.canonicalId(name)
+        : proposal.action === "merge" ? proposal.target : proposal.name;
+      if (!Schema.getPropertyDefinition(target)) {
+        target = Schema.defineProperty(target, {
+          aliases: proposal.labels, type: proposal.type,
+          description: `Promoted from "${proposal.labels[0]}".`
+        }).name;
+      } else if (!proposal.values.every(v => Schema.validateValue(target, v).ok)) {
+        throw new Error(`Stored values do not fit "${target}" (${Schema.getPropertyType(target)})`);
+      }
+
+      let moved = 0;
+      for (const member of proposal.members) {
+        if (member === target) continue;
+        moved += this.kg.renameProperty(member, target);
+        this.mapper.renameMappings(member, target);
+      }
+      this.inf.run(this.kg);
+      this._schemaChanged();
+      return { decision, target, members: proposal.members, moved };
+    }
+
+    _schemaChanged() {
+      this.mapper._buildIndexes();
+      this._reindex();
+    }
+
+    // ── LLM provider ───────────────────────────────────────────────────────
+    // Swap the provider at runtime (settings panel); the Narrator shares it.
+
+    setLLM(llm) {
+      this.llm = this._guardOutbound(llm);
+      this.narrator.llm = llm;
+      return llm;
+    }
+
+    // Every outbound prompt is redacted against the KG's sensitive values
+    // and the redacted payload is appended to the audit log.
+    _guardOutbound(llm) {
+      llm.outbound = (messages, info) => {
+        const { messages: clean, hits } = this.redactor.redactMessages(messages, this.kg.sensitiveValues());
+        this.audit.append({ ...info, messages: clean, hits });
+        return clean;
+      };
+      return llm;
+    }
+
+    // ── Vault session ──────────────────────────────────────────────────────
+    // unlock() decrypts sealed RESTRICTED / ENCRYPTED values into memory;
+    // lock() re-seals them and drops the key.  Returns false on bad passphrase.
+
+    async unlock(passphrase) {
+      const ok = await this.vault.unlock(passphrase);
+      if (!ok) return false;
+      await this.kg.unseal(this.vault);
+      this.inf.run(this.kg);
+      return true;
+    }
+
+    async lock() {
+      if (this.vault.isUnlocked()) await this.kg.seal(this.vault);
+      this.vault.lock();
     }
 
     // ── OCR: extract fields from an image File ─────────────────────────────
@@ -279,16 +743,30 @@
         epi:        this.epi.stats(),
         bandit:     this.router.stats(),
         retriever:  this.retriever.index.length,
+        llm_provider: this.llm.provider || null,
         llm_calls:  this.llm.calls,
-        llm_tokens: this.llm.tokensUsed
+        llm_tokens: this.llm.tokensUsed,
+        llm_status: this.llm.stats ? this.llm.stats() : null,
+        llm_budget: this.budget.status(),
+        llm_cache:  this.cache.stats(),
+        vault:      this.vault.status()
       };
     }
 
     // ── Serialise / deserialise ────────────────────────────────────────────
 
-    serialize() {
+    async serialize() {
       return {
-        kg:          this.kg.serialize(),
+        schema:      Schema.serializeCustom(),
+        kg:          await this.kg.serialize(this.vault),
+        vault:       this.vault.serialize(),
+        consent:     this.consent.serialize(),
+        policy:      this.policy.serialize(),
+        personas:    this.personas.serialize(),
+        promoter:    this.promoter.serialize(),
+        budget:      this.budget.serialize(),
+        audit:       this.audit.serialize(),
+        cache:       this.cache.serialize(),
         epi:         this.epi.serialize(),
         fieldMapper: this.mapper.serialize(),
         router:      this.router.serialize(),
@@ -299,7 +777,16 @@
 
     static deserialize(data = {}, options = {}) {
       return new AutoFillAgentV5({
+        schema:      data.schema,
         kg:          data.kg,
+        vault:       data.vault,
+        consent:     data.consent,
+        policy:      data.policy,
+        personas:    data.personas,
+        promoter:    data.promoter,
+        budget:      data.budget,
+        audit:       data.audit,
+        cache:       data.cache,
         epi:         data.epi,
         fieldMapper: data.fieldMapper,
         router:      data.router,
@@ -310,6 +797,33 @@
     }
   }
 
+  function _consentBlocked(label, prop) {
+    return new MemoryApi.FillResult(label, {
+      prop, value: "UNKNOWN",
+      status: Schema.FillStatus.UNKNOWN,
+      route: Schema.Route.CONSENT,
+      confidence: 0, reason: "consent_never"
+    });
+  }
+
+  function _subjectOrSelf(subject) {
+    return subject && Schema.SUBJECT_DEFINITIONS[subject] ? subject : Schema.SELF;
+  }
+
+  // ── Helper: field descriptors ─────────────────────────────────────────────
+
+  // Page language (options.lang) is stamped on descriptors that carry none,
+  // so every FieldMapper.map() call sees it
+  function _normalizeFields(fields, lang = null) {
+    return (fields || []).map(f => {
+      const desc = typeof f === "string"
+        ? { id: f, label: f }
+        : { ...f, id: String(f.id ?? f.label), label: String(f.label ?? f.id) };
+      if (lang && !desc.lang) desc.lang = lang;
+      return desc;
+    });
+  }
+
   // ── Helper: which domain does a property belong to? ────────────────────────
 
   function _domainOf(prop) {
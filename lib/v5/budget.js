@@ -0,0 +1,127 @@
+(function initAutoFillGraphV5Budget(root) {
+  "use strict";
+
+  // ── LLMBudget ─────────────────────────────────────────────────────────────
+  // Daily / monthly caps on LLM calls and tokens, checked before every LLM
+  // route (agent batch fill, Narrator QA).  Usage is bucketed per UTC day
+  // ("YYYY-MM-DD"); monthly totals are summed from the day buckets, so only
+  // the day map is persisted.  A limit of 0 / null means unlimited.
+  //   allows()                 → bool
+  //   check()                  → {ok, exceeded: ["daily_tokens", …]}
+  //   meter(llm, fn)           → runs fn, records the llm.calls / tokensUsed delta
+  //   history(days)            → [{day, calls, tokens}] oldest first, zero-filled
+
+  const LIMIT_KEYS   = ["dailyCalls", "dailyTokens", "monthlyCalls", "monthlyTokens"];
+  const HISTORY_DAYS = 400;
+
+  class LLMBudget {
+    constructor(data = {}, options = {}) {
+      this._now   = options.now || (() => new Date());
+      this.limits = _cleanLimits(data.limits);
+      // days: Map<"YYYY-MM-DD", {calls, tokens}>
+      this._days  = new Map();
+      for (const [day, u] of Object.entries(data.days || {})) {
+        this._days.set(day, { calls: Number(u.calls) || 0, tokens: Number(u.tokens) || 0 });
+      }
+    }
+
+    setLimits(limits = {}) {
+      this.limits = _cleanLimits({ ...this.limits, ...limits });
+      return this.limits;
+    }
+
+    // ── Usage ─────────────────────────────────────────────────────────────
+
+    record(calls = 0, tokens = 0) {
+      if (!calls && !tokens) return;
+      const day = _dayKey(this._now());
+      const u = this._days.get(day) || { calls: 0, tokens: 0 };
+      u.calls  += Math.max(0, calls);
+      u.tokens += Math.max(0, tokens);
+      this._days.set(day, u);
+      this._prune();
+    }
+
+    async meter(llm, fn) {
+      const calls0 = llm.calls || 0, tokens0 = llm.tokensUsed || 0;
+      try {
+        return await fn();
+      } finally {
+        this.record((llm.calls || 0) - calls0, (llm.tokensUsed || 0) - tokens0);
+      }
+    }
+
+    usage(period = "day") {
+      const today = _dayKey(this._now());
+      if (period === "day") return { ...(this._days.get(today) || { calls: 0, tokens: 0 }) };
+      const month = today.slice(0, 7);
+      const out = { calls: 0, tokens: 0 };
+      for (const [day, u] of this._days) {
+        if (day.startsWith(month)) { out.calls += u.calls; out.tokens += u.tokens; }
+      }
+      return out;
+    }
+
+    // ── Enforcement ───────────────────────────────────────────────────────
+
+    check() {
+      const day = this.usage("day"), month = this.usage("month");
+      const l = this.limits;
+      const exceeded = [];
+      if (l.dailyCalls    && day.calls    >= l.dailyCalls)    exceeded.push("daily_calls");
+      if (l.dailyTokens   && day.tokens   >= l.dailyTokens)   exceeded.push("daily_tokens");
+      if (l.monthlyCalls  && month.calls  >= l.monthlyCalls)  exceeded.push("monthly_calls");
+      if (l.monthlyTokens && month.tokens >= l.monthlyTokens) exceeded.push("monthly_tokens");
+      return { ok: exceeded.length === 0, exceeded };
+    }
+
+    allows() { return this.check().ok; }
+
+    // ── Reporting ─────────────────────────────────────────────────────────
+
+    history(days = 30) {
+      const out = [];
+      const t = this._now().getTime();
+      for (let i = days - 1; i >= 0; i--) {
+        const day = _dayKey(new Date(t - i * 86400000));
+        out.push({ day, ...(this._days.get(day) || { calls: 0, tokens: 0 }) });
+      }
+      return out;
+    }
+
+    status() {
+      const { ok, exceeded } = this.check();
+      return { ok, exceeded, limits: { ...this.limits }, day: this.usage("day"), month: this.usage("month") };
+    }
+
+    _prune() {
+      if (this._days.size <= HISTORY_DAYS) return;
+      const keep = [...this._days.keys()].sort().slice(-HISTORY_DAYS);
+      for (const day of [...this._days.keys()]) if (!keep.includes(day)) this._days.delete(day);
+    }
+
+    serialize() {
+      return { limits: { ...this.limits }, days: Object.fromEntries(this._days) };
+    }
+
+    static deserialize(data = {}, options = {}) { return new LLMBudget(data, options); }
+  }
+
+  function _cleanLimits(limits = {}) {
+    const out = {};
+    for (const k of LIMIT_KEYS) {
+      const n = Math.floor(Number(limits?.[k]));
+      out[k] = Number.isFinite(n) && n > 0 ? n : 0;
+    }
+    return out;
+  }
+
+  function _dayKey(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  const api = Object.freeze({ LLMBudget, LIMIT_KEYS });
+
+  root.AutoFillGraphV5Budget = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -0,0 +1,72 @@
+(function initAutoFillGraphV5Consent(root) {
+  "use strict";
+
+  const Utils = root.AutoFillGraphV5Utils;
+
+  if (!Utils) throw new Error("Load utils.js before consent.js");
+
+  // ── ConsentLedger ─────────────────────────────────────────────────────────
+  // Records per-fill consent decisions for RESTRICTED / ENCRYPTED values:
+  //   allow — inject this time
+  //   deny  — skip this time
+  //   never — skip and never offer this property on this origin again
+  // Only "never" becomes a standing rule; every decision is kept in a
+  // bounded log for the popup.
+
+  const Decision = Object.freeze({ ALLOW: "allow", DENY: "deny", NEVER: "never" });
+  const MAX_LOG  = 200;
+
+  class ConsentLedger {
+    constructor(data = {}) {
+      // never: Map<origin, Set<prop>>
+      this._never = new Map();
+      for (const [origin, props] of Object.entries(data.never || {})) {
+        this._never.set(origin, new Set(props));
+      }
+      this._log = data.log || [];
+    }
+
+    // decisions: {prop: "allow"|"deny"|"never"}
+    record(origin, decisions = {}) {
+      if (!origin) return;
+      for (const [prop, decision] of Object.entries(decisions)) {
+        if (!Object.values(Decision).includes(decision)) continue;
+        if (decision === Decision.NEVER) {
+          if (!this._never.has(origin)) this._never.set(origin, new Set());
+          this._never.get(origin).add(prop);
+        }
+        this._log.push({ origin, prop, decision, at: Utils.nowIso() });
+      }
+      if (this._log.length > MAX_LOG) this._log.splice(0, this._log.length - MAX_LOG);
+    }
+
+    isBlocked(origin, prop) {
+      if (!origin || !prop) return false;
+      return Boolean(this._never.get(origin)?.has(prop));
+    }
+
+    revoke(origin, prop) {
+      const set = this._never.get(origin);
+      if (!set) return;
+      set.delete(prop);
+      if (!set.size) this._never.delete(origin);
+    }
+
+    blocked(origin) {
+      return Array.from(this._never.get(origin) || []);
+    }
+
+    serialize() {
+      const never = {};
+      for (const [origin, props] of this._never.entries()) never[origin] = Array.from(props);
+      return { never, log: this._log };
+    }
+
+    static deserialize(data = {}) { return new ConsentLedger(data); }
+  }
+
+  const api = Object.freeze({ ConsentLedger, Decision });
+
+  root.AutoFillGraphV5Consent = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -11,21 +11,46 @@
   //   accept  → confidence += 0.05 (capped 0.99)
   //   reject  → confidence -= 0.15; retract inferred sources; expire if < FORGET_THRESH
   //   correct → expire active; retract inferred; store new value from feedback
+  //             (a new value that fails Schema.validateValue is ignored)
   // Forget pass: any active attr with confidence < FORGET_THRESH is expired.
+  // List-item results (prop "<list>.<index>.<field>") adjust the item instead:
+  // correct rewrites the sub-field, reject clears it.
+  // With episode.persona set, the user's own values are adjusted in that
+  // persona's overlay when it supplied the value; a correction of a base
+  // value becomes a new override rather than changing the base profile.
+  // Mapping feedback leaves values alone and goes to the FieldMapper:
+  //   reject:mapping         → the label is not this property
+  //   correct:mapping:<prop> → the label is <prop> (and not the old property)
+  // scoped to the episode's origin with options.siteOnly, else global.
+  // The episode's origin also keeps the mapper's per-site table current:
+  // accept pins the label to its property there, a mapping correction
+  // re-pins it, a mapping rejection unpins it.
 
   const FORGET_THRESH = 0.20;
 
   class MemoryConsolidator {
-    consolidate(episode, feedback, kg) {
+    consolidate(episode, feedback, kg, mapper = null, options = {}) {
       for (const [field, action] of Object.entries(feedback)) {
         const r = episode.results[field];
-        if (!r || !r.prop) continue;
+        if (!r) continue;
+        if (_isMappingAction(action)) {
+          this._consolidateMapping(r, action, mapper, episode.origin || null, Boolean(options.siteOnly));
+          continue;
+        }
+        if (!r.prop) continue;
         const prop = r.prop;
-        const active = (kg._attrs.get(prop) || []).filter(a => a.is_current());
+        const path = Schema.parseListPath(prop);
+        if (path) { this._consolidateItem(path, action, kg); continue; }
+        const subject  = r.subject || Schema.SELF;
+        const persona  = subject === Schema.SELF ? episode.persona || null : null;
+        const overlaid = Boolean(persona) && kg.overlayHistory(persona, prop).some(a => a.is_current());
+        const timeline = overlaid ? kg.overlayHistory(persona, prop) : kg.history(prop, subject);
+        const active   = timeline.filter(a => a.is_current());
         const base = action.split(":")[0];
 
         if (base === Schema.FeedbackAction.ACCEPT) {
           for (const a of active) a.confidence = Math.min(0.99, a.confidence + 0.05);
+          if (mapper && episode.origin) mapper.learnSiteMapping(r.field, prop, episode.origin);
 
         } else if (base === Schema.FeedbackAction.REJECT) {
           for (const a of active) {
@@ -39,23 +64,66 @@
 
         } else if (base === Schema.FeedbackAction.CORRECT) {
           const newVal = action.split(":").slice(1).join(":");
-          for (const a of active) {
-            a.valid_until = Utils.nowIso();
-            if (a.source && a.source.startsWith("inferred:")) {
-              kg._retractions.add(`${prop}:${a.source.replace("inferred:", "")}`);
+          // A correction that fails the property's type changes nothing
+          if (newVal && !Schema.validateValue(prop, newVal).ok) continue;
+          if (persona) {
+            if (overlaid) for (const a of active) a.valid_until = Utils.nowIso();
+            if (newVal) kg.storeOverlay(persona, prop, newVal, "feedback:correct", 1.0);
+          } else {
+            for (const a of active) {
+              a.valid_until = Utils.nowIso();
+              if (a.source && a.source.startsWith("inferred:")) {
+                kg._retractions.add(`${prop}:${a.source.replace("inferred:", "")}`);
+              }
             }
+            if (newVal) kg.store(prop, newVal, "feedback:correct", 1.0, true, subject);
           }
-          if (newVal) kg.store(prop, newVal, "feedback:correct", 1.0);
         }
 
         // Forget pass: any active attr below threshold
-        for (const a of (kg._attrs.get(prop) || [])) {
+        for (const a of timeline) {
           if (a.is_current() && a.confidence < FORGET_THRESH) {
             a.valid_until = Utils.nowIso();
           }
         }
       }
     }
+
+    _consolidateMapping(r, action, mapper, origin, siteOnly) {
+      if (!mapper || Schema.parseListPath(r.prop)) return;
+      const [base, , ...rest] = action.split(":");
+      const target = rest.join(":");
+      const scope  = siteOnly ? origin : null;
+      if (base === Schema.FeedbackAction.REJECT && r.prop) {
+        mapper.rejectMapping(r.field, r.prop, scope);
+        if (origin) mapper.forgetSiteMapping(r.field, origin, r.prop);
+      } else if (base === Schema.FeedbackAction.CORRECT && target) {
+        mapper.correctMapping(r.field, target, scope, r.prop);
+        if (origin) mapper.learnSiteMapping(r.field, target, origin);
+      }
+    }
+
+    _consolidateItem({ list, index, field }, action, kg) {
+      const item = kg.listItems(list)[index];
+      const base = action.split(":")[0];
+      if (base === Schema.FeedbackAction.ACCEPT) {
+        if (item) item.confidence = Math.min(0.99, item.confidence + 0.05);
+      } else if (base === Schema.FeedbackAction.REJECT) {
+        if (!item || item.fields[field] === undefined) return;
+        const fields = { ...item.fields };
+        delete fields[field];
+        item.valid_until = Utils.nowIso();
+        kg.upsertListItem(list, index, fields, "feedback:reject", Math.max(0, item.confidence - 0.15));
+      } else if (base === Schema.FeedbackAction.CORRECT) {
+        const newVal = action.split(":").slice(1).join(":");
+        if (newVal) kg.upsertListItem(list, index, { [field]: newVal }, "feedback:correct", 1.0);
+      }
+    }
+  }
+
+  // Only the exact prefixes; "correct:mapping" alone is a value correction
+  function _isMappingAction(action) {
+    return action === "reject:mapping" || action.startsWith("correct:mapping:");
   }
 
   const api = Object.freeze({ MemoryConsolidator, FORGET_THRESH });
@@ -1,29 +1,63 @@
 (function initAutoFillGraphV5FieldMapper(root) {
   "use strict";
 
-  const Schema = root.AutoFillGraphV5Schema;
-  const Utils  = root.AutoFillGraphV5Utils;
+  const Schema     = root.AutoFillGraphV5Schema;
+  const Utils      = root.AutoFillGraphV5Utils;
+  const AliasPacks = root.AutoFillGraphV5AliasPacks;
 
-  if (!Schema || !Utils) throw new Error("Load schema.js and utils.js before fieldMapper.js");
+  if (!Schema || !Utils || !AliasPacks) {
+    throw new Error("Load schema.js, utils.js and aliasPacks.js before fieldMapper.js");
+  }
 
   // ── FieldMapper ───────────────────────────────────────────────────────────
-  // 3-phase label resolution (mirrors Prototype5 FieldMapper):
+  // Label resolution (phases 1–3 mirror Prototype5 FieldMapper):
+  //   Phase 0 — Autocomplete: WHATWG autocomplete token on the field descriptor
   //   Phase 1 — Exact   : normalised text matches alias index
   //   Phase 2 — Substring: overlap ≥ 4 chars
   //   Phase 3 — Embedding: cosine similarity ≥ threshold (64-dim n-gram vectors)
+  // Subject cues ("Spouse's …", "Emergency contact …") are stripped before
+  // phases 1–3 and reported as `subject` (null = no cue).
   // OCR variant generation: numeral → letter substitutions.
+  // Per-site mappings come first: a label learned (or confirmed / corrected
+  // through feedback) on an origin resolves to the same property on every
+  // later visit to that origin ("site" phase), whatever it means elsewhere.
+  // Mapping feedback (see rejectMapping / correctMapping) is honoured next:
+  // a corrected label maps straight to its property ("corrected" phase) and
+  // a negative one never resolves to the rejected property in any phase.
+  // Either kind is global or scoped to one origin; the origin's entry wins.
+  // Languages: every alias pack (aliasPacks.js) takes part in phase 1; only
+  // the page language (map(field, {lang}) or descriptor.lang; else the
+  // label's script) also takes part in phases 2–3.
 
   const DEFAULT_THRESHOLD = 0.32;
 
+  // Whole-word matchers for subject cues, optional possessive " s"
+  const SUBJECT_CUES = Object.entries(Schema.SUBJECT_DEFINITIONS).flatMap(([subject, def]) =>
+    def.cues.map(cue => {
+      const c = Utils.normalizeText(cue).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return { subject, len: c.length, re: new RegExp(`(^|\\s)${c}( s)?(?=\\s|$)`) };
+    })
+  );
+
   class FieldMapper {
     constructor(options = {}) {
       this.threshold       = Number(options.threshold ?? DEFAULT_THRESHOLD);
       this.learnedMappings = options.learnedMappings || {};
+      // scope ("*" or origin) → normalised label → {to: prop|null, not: [prop]}
+      this.mappingFeedback = options.mappingFeedback || {};
+      // origin → normalised label → property, learned on that site
+      this.siteMappings    = options.siteMappings || {};
 
       // alias index: normalised string → property
       this._alias = new Map();
       // property → embedding vector
       this._propVecs = new Map();
+      // list → (normalised alias → sub-field)
+      this._listAlias = new Map();
+      // language → (normalised alias → property), from the alias packs
+      this._packAlias = new Map();
+      // language → (property → embedding of its pack aliases), built lazily
+      this._packVecs = new Map();
 
       this._buildIndexes();
     }
@@ -32,7 +66,8 @@
       this._alias.clear();
       this._propVecs.clear();
 
-      for (const [prop, def] of Object.entries(Schema.PROPERTY_DEFINITIONS)) {
+      // Built-in and user-defined (Schema.defineProperty) properties alike
+      for (const [prop, def] of Object.entries(Schema.propertyDefinitions())) {
         this._alias.set(Utils.normalizeText(prop), prop);
         for (const a of def.aliases || []) {
           this._alias.set(Utils.normalizeText(a), prop);
@@ -42,6 +77,28 @@
         this._propVecs.set(prop, Utils.embed(text));
       }
 
+      for (const [lang, pack] of Object.entries(AliasPacks.ALIAS_PACKS)) {
+        const idx = new Map();
+        for (const [prop, aliases] of Object.entries(pack)) {
+          for (const a of aliases) {
+            const n = Utils.normalizeText(a);
+            idx.set(n, prop);
+            idx.set(Utils.foldDiacritics(n), prop);
+          }
+        }
+        this._packAlias.set(lang, idx);
+      }
+      this._packVecs.clear();
+
+      for (const list of Object.keys(Schema.LIST_DEFINITIONS)) {
+        const idx = new Map();
+        for (const [field, aliases] of Object.entries(Schema.listFieldAliases(list))) {
+          idx.set(Utils.normalizeText(field), field);
+          for (const a of aliases) idx.set(Utils.normalizeText(a), field);
+        }
+        this._listAlias.set(list, idx);
+      }
+
       // Learned mappings override
       for (const [prop, aliases] of Object.entries(this.learnedMappings)) {
         for (const a of aliases) this._alias.set(Utils.normalizeText(a), prop);
@@ -53,25 +110,59 @@
       const raw = String(label || "");
       const norm = Utils.normalizeText(raw);
       const ocr  = Utils.ocrNorm(raw);
-      return Utils.unique([norm, ocr].filter(Boolean));
+      return Utils.unique([norm, ocr, Utils.foldDiacritics(norm)].filter(Boolean));
     }
 
-    // ── map(label) → {prop, phase, score} ─────────────────────────────────
+    // ── map(field) → {prop, phase, score, subject} ────────────────────────
+    // field: label string, or a descriptor from the content script
+    //   {label, name, domId, type, autocomplete, placeholder, inputmode, maxlength, pattern, lang}
+    // options.lang   — page language (BCP 47, e.g. "de-DE"); overrides desc.lang
+    // options.origin — page origin, for site-scoped mapping feedback
+
+    map(field, options = {}) {
+      const desc    = typeof field === "string" ? { label: field } : (field || {});
+      const cue     = this.subjectOf(desc.label);
+      const subject = cue ? cue.subject : null;
+      const label   = cue ? cue.rest : (desc.label ?? "");
+      const fb      = this._feedbackFor(label, options.origin);
+
+      // Learned on this site
+      const site = options.origin ? _byLabel(this.siteMappings[options.origin], label) : null;
+      if (site && !fb.not.has(site)) return { prop: site, phase: "site", score: 1.0, subject };
+
+      // Corrected by the user
+      if (fb.to) return { prop: fb.to, phase: "corrected", score: 1.0, subject };
 
-    map(label) {
+      // Phase 0: autocomplete token
+      const acProp = _autocompleteProp(desc.autocomplete);
+      if (acProp && !fb.not.has(acProp)) return { prop: acProp, phase: "autocomplete", score: 1.0, subject };
+
+      const lang = AliasPacks.baseLanguage(options.lang || desc.lang);
+      return { ...this._mapLabel(label, lang, fb.not), subject };
+    }
+
+    _mapLabel(label, lang = null, banned = new Set()) {
       const variants = this._ocrVariants(label);
+      const langs    = lang ? [lang] : Utils.scriptLanguages(label);
+      const own      = langs.map(l => this._packAlias.get(l)).filter(Boolean);
+      const others   = [...this._packAlias].filter(([l]) => !langs.includes(l)).map(([, idx]) => idx);
 
-      // Phase 1: exact alias match
-      for (const v of variants) {
-        const p = this._alias.get(v);
-        if (p) return { prop: p, phase: "exact", score: 1.0 };
+      // Phase 1: exact alias match (English + learned, page language, other packs);
+      // the legacy key finds labels learned before Unicode normalisation
+      const exact = Utils.unique([...variants, Utils.legacyNormalizeText(label)].filter(Boolean));
+      for (const idx of [this._alias, ...own, ...others]) {
+        for (const v of exact) {
+          const p = idx.get(v);
+          if (p && !banned.has(p)) return { prop: p, phase: "exact", score: 1.0 };
+        }
       }
 
-      // Phase 2: substring overlap
+      // Phase 2: substring overlap (CJK aliases count from two characters)
+      const pool = [this._alias, ...own].flatMap(idx => [...idx.entries()]);
       let bestP = null, bestS = 0;
       for (const v of variants) {
-        for (const [alias, prop] of this._alias.entries()) {
-          if (alias.length < 4) continue;
+        for (const [alias, prop] of pool) {
+          if (alias.length < (Utils.isWideScript(alias) ? 2 : 4) || banned.has(prop)) continue;
           if (v.includes(alias) || alias.includes(v)) {
             const s = Math.min(alias.length, v.length) / Math.max(alias.length, v.length);
             if (s > bestS) { bestP = prop; bestS = s; }
@@ -83,9 +174,12 @@
       // Phase 3: embedding cosine similarity
       const qVec = Utils.embed(label);
       let embBestP = null, embBestS = 0;
-      for (const [prop, vec] of this._propVecs.entries()) {
-        const s = Utils.cosineSimilarity(qVec, vec);
-        if (s > embBestS) { embBestP = prop; embBestS = s; }
+      for (const vecs of [this._propVecs, ...langs.map(l => this._packVecsFor(l))]) {
+        for (const [prop, vec] of vecs.entries()) {
+          if (banned.has(prop)) continue;
+          const s = Utils.cosineSimilarity(qVec, vec);
+          if (s > embBestS) { embBestP = prop; embBestS = s; }
+        }
       }
       if (embBestS >= this.threshold) {
         return { prop: embBestP, phase: "embedding", score: embBestS };
@@ -93,10 +187,70 @@
       return { prop: null, phase: "unknown", score: embBestS };
     }
 
+    _packVecsFor(lang) {
+      if (!this._packVecs.has(lang)) {
+        const vecs = new Map();
+        for (const [prop, aliases] of Object.entries(AliasPacks.ALIAS_PACKS[lang] || {})) {
+          vecs.set(prop, Utils.embed(aliases.join(" ")));
+        }
+        this._packVecs.set(lang, vecs);
+      }
+      return this._packVecs.get(lang);
+    }
+
+    // ── subjectOf(label) → {subject, rest} | null ─────────────────────────
+    // Longest cue wins; a possessive "'s" and dangling "of"/"for" are dropped
+    // ("Name of spouse" → "name").  A bare cue ("Emergency contact") means
+    // the person's name.
+
+    subjectOf(label) {
+      const n = Utils.normalizeText(label);
+      if (!n) return null;
+      let best = null;
+      for (const { subject, len, re } of SUBJECT_CUES) {
+        const m = re.exec(n);
+        if (m && (!best || len > best.len)) best = { subject, len, match: m };
+      }
+      if (!best) return null;
+      const { match } = best;
+      const rest = (n.slice(0, match.index) + " " + n.slice(match.index + match[0].length))
+        .replace(/\s+/g, " ").trim()
+        .replace(/^(the|your|of|for)\s+/, "").replace(/\s+(of|for|the|your)$/, "")
+        .trim();
+      return { subject: best.subject, rest: rest || "name" };
+    }
+
+    // ── mapListField(field) → [{list, field, score}] ──────────────────────
+    // Best sub-field per list for a field inside a repeating section (exact
+    // alias, else substring overlap ≥ 0.6).  The caller picks the list.
+
+    mapListField(field) {
+      const label    = typeof field === "string" ? field : (field?.label ?? "");
+      const variants = this._ocrVariants(label);
+      const out = [];
+      for (const [list, idx] of this._listAlias.entries()) {
+        let best = null, bestS = 0;
+        for (const v of variants) {
+          if (idx.has(v)) { best = idx.get(v); bestS = 1.0; break; }
+          for (const [alias, sub] of idx.entries()) {
+            if (alias.length < 4 || v.length < 4) continue;
+            if (v.includes(alias) || alias.includes(v)) {
+              const s = Math.min(alias.length, v.length) / Math.max(alias.length, v.length);
+              if (s > bestS) { best = sub; bestS = s; }
+            }
+          }
+        }
+        if (best && bestS >= 0.6) out.push({ list, field: best, score: bestS });
+      }
+      return out.sort((a, b) => b.score - a.score);
+    }
+
     // ── Learn a new label → property mapping ──────────────────────────────
 
-    learnMapping(label, property) {
+    // With `origin`, the label is also pinned to the property for that site
+    learnMapping(label, property, origin = null) {
       if (!label || !property) return;
+      if (origin) this.learnSiteMapping(label, property, origin);
       const n = Utils.normalizeText(label);
       if (!this.learnedMappings[property]) this.learnedMappings[property] = [];
       if (!this.learnedMappings[property].includes(n)) {
@@ -105,18 +259,126 @@
       }
     }
 
+    // ── Per-site mappings ──────────────────────────────────────────────────
+
+    learnSiteMapping(label, property, origin) {
+      if (!label || !property || !origin) return;
+      if (!this.siteMappings[origin]) this.siteMappings[origin] = {};
+      this.siteMappings[origin][this._labelKey(label)] = property;
+    }
+
+    // With `property`, only forgets the label if it is pinned to that property
+    forgetSiteMapping(label, origin, property = null) {
+      const table = this.siteMappings[origin];
+      const key   = this._labelKey(label);
+      if (!table || !(key in table) || (property && table[key] !== property)) return false;
+      const ok = delete table[key];
+      if (!Object.keys(table).length) delete this.siteMappings[origin];
+      return ok;
+    }
+
+    // Drop everything learned on one origin → number of labels forgotten
+    forgetSite(origin) {
+      const n = Object.keys(this.siteMappings[origin] || {}).length;
+      delete this.siteMappings[origin];
+      return n;
+    }
+
+    // Re-point every label learned for `from` at `to` (schema promotion)
+    renameMappings(from, to) {
+      const labels = this.learnedMappings[from] || [];
+      delete this.learnedMappings[from];
+      for (const l of labels) this.learnMapping(l, to);
+      for (const table of Object.values(this.siteMappings)) {
+        for (const [key, prop] of Object.entries(table)) if (prop === from) table[key] = to;
+      }
+      this._buildIndexes();
+      return labels;
+    }
+
+    // ── Mapping feedback ───────────────────────────────────────────────────
+    // rejectMapping  — label ↛ prop ("Title" is not job_title here)
+    // correctMapping — label → prop; `wrongProp`, the property it had been
+    //                  mapped to, is recorded as negative at the same time
+    // origin null = everywhere, else that origin only.
+
+    rejectMapping(label, prop, origin = null) {
+      if (!label || !prop) return;
+      const e = this._feedbackEntry(label, origin);
+      if (!e.not.includes(prop)) e.not.push(prop);
+      if (e.to === prop) e.to = null;
+    }
+
+    correctMapping(label, prop, origin = null, wrongProp = null) {
+      if (!label || !prop) return;
+      const e = this._feedbackEntry(label, origin);
+      e.to  = prop;
+      e.not = e.not.filter(p => p !== prop);
+      if (wrongProp && wrongProp !== prop && !e.not.includes(wrongProp)) e.not.push(wrongProp);
+    }
+
+    // Label as map() sees it: subject cue stripped, normalised
+    _labelKey(label) {
+      const cue = this.subjectOf(label);
+      return Utils.normalizeText(cue ? cue.rest : label);
+    }
+
+    _feedbackEntry(label, origin) {
+      const scope = origin || "*";
+      const key   = this._labelKey(label);
+      if (!this.mappingFeedback[scope]) this.mappingFeedback[scope] = {};
+      if (!this.mappingFeedback[scope][key]) this.mappingFeedback[scope][key] = { to: null, not: [] };
+      return this.mappingFeedback[scope][key];
+    }
+
+    // Effective feedback for a (cue-stripped) label → {to, not: Set}
+    _feedbackFor(label, origin = null) {
+      const glob = _byLabel(this.mappingFeedback["*"], label);
+      const site = origin ? _byLabel(this.mappingFeedback[origin], label) : null;
+      const to   = site?.to || glob?.to || null;
+      const not  = new Set([...(glob?.not || []), ...(site?.not || [])]);
+      if (site?.to) not.delete(site.to);
+      if (to && not.has(to)) return { to: null, not };
+      return { to, not };
+    }
+
     // ── Label embedding vector (used by router for context) ────────────────
     embedLabel(label) {
       return Utils.embed(label);
     }
 
     serialize() {
-      return { threshold: this.threshold, learnedMappings: this.learnedMappings };
+      return {
+        threshold: this.threshold, learnedMappings: this.learnedMappings,
+        mappingFeedback: this.mappingFeedback, siteMappings: this.siteMappings
+      };
     }
 
     static deserialize(data = {}) { return new FieldMapper(data); }
   }
 
+  // Entry for a label in a table keyed by normalised label, falling back to
+  // the key it was stored under before Unicode normalisation
+  function _byLabel(table, label) {
+    if (!table) return null;
+    return table[Utils.normalizeText(label)] ?? table[Utils.legacyNormalizeText(label)] ?? null;
+  }
+
+  // "section-x shipping work email webauthn" → work_email.  The field name is
+  // the last recognised token; "off" / "on" carry no field information.
+  function _autocompleteProp(attr) {
+    const tokens = String(attr || "").toLowerCase().split(/\s+/).filter(Boolean);
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      const prop = Schema.AUTOCOMPLETE_TOKENS[tokens[i]];
+      if (!prop) continue;
+      if (tokens[i - 1] === "work" && Schema.AUTOCOMPLETE_WORK[tokens[i]]) {
+        return Schema.AUTOCOMPLETE_WORK[tokens[i]];
+      }
+      return prop;
+    }
+    return null;
+  }
+
   const api = Object.freeze({ FieldMapper });
 
   root.AutoFillGraphV5FieldMapper = api;
@@ -0,0 +1,99 @@
+(function initAutoFillGraphV5GenerationValidator(root) {
+  "use strict";
+
+  const Schema = root.AutoFillGraphV5Schema;
+  const Utils  = root.AutoFillGraphV5Utils;
+
+  if (!Schema || !Utils) throw new Error("Load schema.js and utils.js before generationValidator.js");
+
+  // ── GenerationValidator ───────────────────────────────────────────────────
+  // Vets every value the LLM returns for a field before it becomes a
+  // GENERATED FillResult:
+  //   1. format    — the target property's Schema type (email, phone, date,
+  //                  postal code, url, number, enum, …); a mismatch is rejected
+  //   2. grounding — share of the value's tokens found in the retrieved
+  //                  triples / public profile the prompt carried
+  // Verdicts:
+  //   accept    coverage ≥ 0.8                          → confidence 0.85
+  //   downgrade free text with 0.3 ≤ coverage < 0.8     → confidence 0.5, "partially_grounded"
+  //   reject    bad format, coverage < 0.3, or a formatted
+  //             value that is not grounded verbatim     → UNKNOWN
+  // Formatted values (email, phone, …) are never partially true, so they
+  // must be grounded in full.
+
+  const ACCEPT_COVERAGE    = 0.8;
+  const DOWNGRADE_COVERAGE = 0.3;
+  const CONFIDENCE = Object.freeze({ accept: 0.85, downgrade: 0.5 });
+
+  class GenerationValidator {
+    // Structured Schema type of a property; null for free text
+    formatOf(prop) {
+      const type = prop ? Schema.getPropertyType(prop) : Schema.PropertyType.TEXT;
+      return type === Schema.PropertyType.TEXT ? null : type;
+    }
+
+    // validate(value, prop, context: string[])
+    //   → {verdict, value (type-normalised), confidence, reason, coverage}
+    validate(value, prop, context = []) {
+      let v = String(value ?? "").trim();
+      const format = this.formatOf(prop);
+
+      if (format) {
+        const check = Schema.validateValue(prop, v);
+        if (!check.ok) return { verdict: "reject", value: v, confidence: 0, reason: check.reason, coverage: 0 };
+        v = check.value;
+      }
+
+      const coverage = this.coverage(v, context, format);
+      if (coverage >= ACCEPT_COVERAGE) {
+        return { verdict: "accept", value: v, confidence: CONFIDENCE.accept, reason: "", coverage };
+      }
+      if (!format && coverage >= DOWNGRADE_COVERAGE) {
+        return { verdict: "downgrade", value: v, confidence: CONFIDENCE.downgrade, reason: "partially_grounded", coverage };
+      }
+      return { verdict: "reject", value: v, confidence: 0, reason: "ungrounded", coverage };
+    }
+
+    // Share of the value supported by the context.  Phones compare digits
+    // within one context item at a time (digits never run across two facts);
+    // dates are matched against the context's dates in normalised form, so
+    // an ISO value is grounded by "May 15, 2024".
+    coverage(value, context = [], format = null) {
+      const items = context.map(c => String(c ?? ""));
+      if (format === Schema.PropertyType.PHONE) {
+        const d = _digits(value);
+        return d && items.some(c => _digits(c).includes(d)) ? 1 : 0;
+      }
+      if (format === Schema.PropertyType.DATE) items.push(...items.flatMap(_normalisedDates));
+      const corpus = items.join(" \n ");
+      const normCorpus = Utils.normalizeText(corpus);
+      const normValue  = Utils.normalizeText(value);
+      if (!normValue) return 0;
+      if (normCorpus.includes(normValue)) return 1;
+      const have   = new Set(normCorpus.split(" "));
+      const tokens = normValue.split(" ").filter(t => t.length > 1 || /\d/.test(t));
+      if (!tokens.length) return 0;
+      return tokens.filter(t => have.has(t)).length / tokens.length;
+    }
+  }
+
+  const LONG_DATE_RE = /\b(?:\d{1,2}(?:st|nd|rd|th)?\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:\s+\d{1,2}(?:st|nd|rd|th)?)?,?\s+\d{4}\b/gi;
+
+  // Long-form dates in a context item, as the DATE type stores them
+  function _normalisedDates(text) {
+    const date = Schema.TYPE_DEFINITIONS[Schema.PropertyType.DATE];
+    return (text.match(LONG_DATE_RE) || [])
+      .map(m => m.replace(",", ""))
+      .filter(m => date.validate(m, {}))
+      .map(m => date.normalize(m, {}));
+  }
+
+  function _digits(s) {
+    return String(s).replace(/\D/g, "");
+  }
+
+  const api = Object.freeze({ GenerationValidator });
+
+  root.AutoFillGraphV5GenerationValidator = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
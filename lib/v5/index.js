@@ -5,33 +5,55 @@
   // Load order (in manifest.json / HTML <script> tags):
   //   1. utils.js
   //   2. schema.js
-  //   3. temporalKG.js
-  //   4. memory.js
-  //   5. consolidator.js
-  //   6. fieldMapper.js
-  //   7. router.js
-  //   8. retriever.js
-  //   9. inferenceEngine.js
-  //  10. compositionalResolver.js
-  //  11. llmClient.js
-  //  12. narrator.js
-  //  13. ocr.js
-  //  14. storage.js
-  //  15. autoFillAgentV5.js
-  //  16. index.js
+  //   3. vault.js
+  //   4. temporalKG.js
+  //   5. memory.js
+  //   6. consolidator.js
+  //   7. consent.js
+  //   8. policy.js
+  //   9. persona.js
+  //  10. optionMatcher.js
+  //  11. aliasPacks.js
+  //  12. fieldMapper.js
+  //  13. schemaPromoter.js
+  //  14. router.js
+  //  15. retriever.js
+  //  16. inferenceEngine.js
+  //  17. compositionalResolver.js
+  //  18. llmClient.js
+  //  19. budget.js
+  //  20. redactor.js
+  //  21. llmCache.js
+  //  22. generationValidator.js
+  //  23. narrator.js
+  //  24. ocr.js
+  //  25. storage.js
+  //  26. autoFillAgentV5.js
+  //  27. index.js
 
   const modules = [
     "AutoFillGraphV5Utils",
     "AutoFillGraphV5Schema",
+    "AutoFillGraphV5Vault",
     "AutoFillGraphV5TemporalKG",
     "AutoFillGraphV5Memory",
     "AutoFillGraphV5Consolidator",
+    "AutoFillGraphV5Consent",
+    "AutoFillGraphV5Policy",
+    "AutoFillGraphV5Persona",
+    "AutoFillGraphV5OptionMatcher",
+    "AutoFillGraphV5AliasPacks",
     "AutoFillGraphV5FieldMapper",
+    "AutoFillGraphV5SchemaPromoter",
     "AutoFillGraphV5Router",
     "AutoFillGraphV5Retriever",
     "AutoFillGraphV5InferenceEngine",
     "AutoFillGraphV5CompositionalResolver",
     "AutoFillGraphV5LLMClient",
+    "AutoFillGraphV5Budget",
+    "AutoFillGraphV5Redactor",
+    "AutoFillGraphV5LLMCache",
+    "AutoFillGraphV5GenerationValidator",
     "AutoFillGraphV5Narrator",
     "AutoFillGraphV5OCR",
     "AutoFillGraphV5Storage",
@@ -46,6 +68,7 @@
     // Schema primitives
     Schema:     root.AutoFillGraphV5Schema,
     Utils:      root.AutoFillGraphV5Utils,
+    AliasPacks: root.AutoFillGraphV5AliasPacks,
     // Core data structures
     TemporalKG:           root.AutoFillGraphV5TemporalKG.TemporalKG,
     FillResult:           root.AutoFillGraphV5Memory.FillResult,
@@ -53,18 +76,33 @@
     EpisodicMemory:       root.AutoFillGraphV5Memory.EpisodicMemory,
     WorkingMemory:        root.AutoFillGraphV5Memory.WorkingMemory,
     MemoryConsolidator:   root.AutoFillGraphV5Consolidator.MemoryConsolidator,
+    ConsentLedger:        root.AutoFillGraphV5Consent.ConsentLedger,
+    SitePolicy:           root.AutoFillGraphV5Policy.SitePolicy,
+    PersonaRegistry:      root.AutoFillGraphV5Persona.PersonaRegistry,
+    OptionMatcher:        root.AutoFillGraphV5OptionMatcher.OptionMatcher,
     // ML components
     FieldMapper:          root.AutoFillGraphV5FieldMapper.FieldMapper,
+    SchemaPromoter:       root.AutoFillGraphV5SchemaPromoter.SchemaPromoter,
     LinUCBRouter:         root.AutoFillGraphV5Router.LinUCBRouter,
     EmbeddingRetriever:   root.AutoFillGraphV5Retriever.EmbeddingRetriever,
     InferenceEngine:      root.AutoFillGraphV5InferenceEngine.InferenceEngine,
     CompositionalResolver:root.AutoFillGraphV5CompositionalResolver.CompositionalResolver,
     // LLM & generation
     MistralClient:        root.AutoFillGraphV5LLMClient.MistralClient,
+    OpenAICompatibleClient: root.AutoFillGraphV5LLMClient.OpenAICompatibleClient,
+    MockLLMClient:        root.AutoFillGraphV5LLMClient.MockLLMClient,
+    createLLMClient:      root.AutoFillGraphV5LLMClient.createLLMClient,
+    LLM_PROVIDERS:        root.AutoFillGraphV5LLMClient.PROVIDERS,
+    LLMBudget:            root.AutoFillGraphV5Budget.LLMBudget,
+    Redactor:             root.AutoFillGraphV5Redactor.Redactor,
+    AuditLog:             root.AutoFillGraphV5Redactor.AuditLog,
+    ResponseCache:        root.AutoFillGraphV5LLMCache.ResponseCache,
+    GenerationValidator:  root.AutoFillGraphV5GenerationValidator.GenerationValidator,
     Narrator:             root.AutoFillGraphV5Narrator.Narrator,
     OCRHandler:           root.AutoFillGraphV5OCR.OCRHandler,
     // Persistence
     StorageManager:       root.AutoFillGraphV5Storage.StorageManager,
+    Vault:                root.AutoFillGraphV5Vault.Vault,
     // Main agent
     AutoFillAgentV5:      root.AutoFillGraphV5Agent.AutoFillAgentV5,
     // Version
@@ -6,8 +6,8 @@
 
   if (!Schema || !Utils) throw new Error("Load schema.js and utils.js before inferenceEngine.js");
 
-  // ── InferenceEngine — 7 guarded rules ─────────────────────────────────────
-  // Mirrors Prototype5 InferenceEngine exactly:
+  // ── InferenceEngine — 8 guarded rules ─────────────────────────────────────
+  // Rules 1–7 mirror Prototype5 InferenceEngine exactly:
   //   1. address_parse_zip
   //   2. address_parse_state
   //   3. address_parse_city
@@ -15,6 +15,7 @@
   //   5. degree_to_department
   //   6. email_as_work_email
   //   7. university_as_employer
+  //   8. birth_date_parts (day / month / year for split bday-* inputs)
   //
   // Each rule:
   //   - skips if the prop is already set with an explicit (non-inferred) value
@@ -91,6 +92,14 @@
         maybe("employer", univ, "university_as_employer", 0.70);
       }
 
+      // 8: ISO date of birth → its parts; numeric "05/06/1990" is ambiguous
+      const dob = String(cur.date_of_birth || "").match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+      if (dob) {
+        maybe("birth_year",  dob[1], "birth_date_parts", 0.95);
+        maybe("birth_month", dob[2], "birth_date_parts", 0.95);
+        maybe("birth_day",   dob[3], "birth_date_parts", 0.95);
+      }
+
       return made;
     }
   }
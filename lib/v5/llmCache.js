@@ -0,0 +1,97 @@
+(function initAutoFillGraphV5LLMCache(root) {
+  "use strict";
+
+  const Utils = root.AutoFillGraphV5Utils;
+
+  if (!Utils) throw new Error("Load utils.js before llmCache.js");
+
+  // ── ResponseCache ─────────────────────────────────────────────────────────
+  // Persistent cache of LLM answers for the agent's batch fill and the
+  // Narrator.  The key hashes everything that shaped the prompt (provider,
+  // model, system prompt, fields, retrieved triples, …) so a changed input is
+  // a new key.  Each entry also remembers the KG triples it was grounded on;
+  // retain(liveTriples) runs after every retriever rebuild and drops entries
+  // whose facts were expired or replaced.  Least-recently-used entries are
+  // evicted beyond `max`.
+
+  const CACHE_MAX = 200;
+
+  class ResponseCache {
+    constructor(data = {}, options = {}) {
+      this.max    = options.max || CACHE_MAX;
+      this.hits   = Number(data.hits)   || 0;
+      this.misses = Number(data.misses) || 0;
+      // entries: Map<key, {value, facts, created_at}> in LRU order (oldest first)
+      this._entries = new Map(data.entries || []);
+    }
+
+    static key(parts) {
+      return "llm_" + _hash53(JSON.stringify(parts)).toString(36);
+    }
+
+    keyOf(parts) { return ResponseCache.key(parts); }
+
+    get(key) {
+      const e = this._entries.get(key);
+      if (!e) { this.misses++; return undefined; }
+      this.hits++;
+      this._entries.delete(key);
+      this._entries.set(key, e);
+      return e.value;
+    }
+
+    set(key, value, facts = []) {
+      this._entries.delete(key);
+      this._entries.set(key, { value, facts: Utils.unique(facts), created_at: Utils.nowIso() });
+      while (this._entries.size > this.max) {
+        this._entries.delete(this._entries.keys().next().value);
+      }
+    }
+
+    // Drop entries grounded on any triple no longer in the KG
+    retain(liveTriples) {
+      const live = liveTriples instanceof Set ? liveTriples : new Set(liveTriples);
+      let dropped = 0;
+      for (const [key, e] of [...this._entries]) {
+        if (e.facts.some(t => !live.has(t))) { this._entries.delete(key); dropped++; }
+      }
+      return dropped;
+    }
+
+    clear() { this._entries.clear(); }
+
+    stats() {
+      const total = this.hits + this.misses;
+      return {
+        entries: this._entries.size, hits: this.hits, misses: this.misses,
+        hitRate: total ? Number((this.hits / total).toFixed(3)) : 0
+      };
+    }
+
+    serialize() {
+      return { hits: this.hits, misses: this.misses, entries: [...this._entries] };
+    }
+
+    static deserialize(data = {}) { return new ResponseCache(data); }
+  }
+
+  // cyrb53: 53-bit string hash, plenty for a few hundred keys
+  function _hash53(str, seed = 0) {
+    let h1 = 0xdeadbeef ^ seed, h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1  = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2  = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  }
+
+  const api = Object.freeze({ ResponseCache });
+
+  root.AutoFillGraphV5LLMCache = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -5,94 +5,369 @@
 
   if (!Utils) throw new Error("Load utils.js before llmClient.js");
 
-  // ── MistralClient ─────────────────────────────────────────────────────────
-  // Mirrors Prototype5 MistralClient with:
-  //   chat_json(prompt, system) → object   (JSON response_format)
-  //   chat_text(prompt, system) → string   (plain text)
-  //   available()               → bool
-  //   test()                    → bool
+  // ── LLMProvider ───────────────────────────────────────────────────────────
+  // Provider interface used by the agent and the Narrator (mirrors Prototype5
+  // MistralClient):
+  //   chatJson(prompt, system) → object   (JSON response_format)
+  //   chatText(prompt, system) → string   (plain text)
+  //   available()              → bool
+  //   test()                   → bool
+  //   stats()                  → {provider, model, calls, tokensUsed, lastError, …}
+  // Subclasses implement _send(messages, jsonMode) → raw content string and
+  // throw LLMError on failure.  _post() wraps it with the token-bucket
+  // limiter and retry policy and never throws: exhausted failures set
+  // lastError and return "{}" / "".
+  // An optional `outbound(messages, {provider, model, jsonMode})` hook runs
+  // once per request before anything is sent and returns the messages that
+  // actually go out (the agent uses it for redaction and auditing).
+  //
+  // Retry policy (cf. knowledgeGraphManager._fetchWithRetry):
+  //   rate_limit, transient → retried with full-jitter exponential backoff,
+  //                           Retry-After honoured when the server sends it;
+  //                           a Retry-After beyond maxBackoffMs ends the
+  //                           retries and goes straight to the cooldown
+  //   malformed             → retried once
+  //   auth, request         → not retried
+  // After the final failure the provider cools down instead of going dark:
+  // available() is false until cooldownMs (or Retry-After) has elapsed.  Only
+  // auth errors disable it until the key is replaced and test() passes.
 
   const DEFAULT_MODEL    = "mistral-small-latest";
   const MISTRAL_ENDPOINT = "https://api.mistral.ai/v1/chat/completions";
+  const COMPLETIONS_PATH = "/v1/chat/completions";
+
+  const ErrorKind = Object.freeze({
+    AUTH: "auth", RATE_LIMIT: "rate_limit", TRANSIENT: "transient",
+    MALFORMED: "malformed", REQUEST: "request"
+  });
+
+  const RETRY_DEFAULTS = Object.freeze({
+    retries: 3, backoffMs: 500, maxBackoffMs: 8000, cooldownMs: 30000
+  });
+
+  class LLMError extends Error {
+    constructor(kind, message, { status = 0, retryAfterMs = null } = {}) {
+      super(message);
+      this.name         = "LLMError";
+      this.kind         = kind;
+      this.status       = status;
+      this.retryAfterMs = retryAfterMs;
+    }
+
+    get retryable() {
+      return this.kind === ErrorKind.RATE_LIMIT || this.kind === ErrorKind.TRANSIENT ||
+             this.kind === ErrorKind.MALFORMED;
+    }
+
+    static fromStatus(status, body = "", retryAfter = null) {
+      const msg = `HTTP ${status}: ${String(body).slice(0, 200)}`;
+      const opts = { status, retryAfterMs: parseRetryAfter(retryAfter) };
+      if (status === 401 || status === 403) return new LLMError(ErrorKind.AUTH, msg, opts);
+      if (status === 429)                   return new LLMError(ErrorKind.RATE_LIMIT, msg, opts);
+      if (status === 408 || status >= 500)  return new LLMError(ErrorKind.TRANSIENT, msg, opts);
+      return new LLMError(ErrorKind.REQUEST, msg, opts);
+    }
+  }
+
+  // ── TokenBucket ───────────────────────────────────────────────────────────
+  // capacity requests in a burst, refilled at refillPerSec; take() waits for
+  // a token.  now/sleep are injectable so tests need not wait in real time.
 
-  class MistralClient {
+  class TokenBucket {
+    constructor({ capacity = 4, refillPerSec = 1, now = Date.now, sleep = _sleep } = {}) {
+      this.capacity     = Math.max(1, capacity);
+      this.refillPerSec = Math.max(0.001, refillPerSec);
+      this.tokens       = this.capacity;
+      this._now         = now;
+      this._sleep       = sleep;
+      this._last        = now();
+    }
+
+    _refill() {
+      const t = this._now();
+      this.tokens = Math.min(this.capacity, this.tokens + ((t - this._last) / 1000) * this.refillPerSec);
+      this._last  = t;
+    }
+
+    async take() {
+      this._refill();
+      while (this.tokens < 1) {
+        await this._sleep(Math.ceil(((1 - this.tokens) / this.refillPerSec) * 1000));
+        this._refill();
+      }
+      this.tokens -= 1;
+    }
+  }
+
+  class LLMProvider {
     constructor(options = {}) {
-      this.apiKey     = options.apiKey || options.api_key || "";
-      this.model      = options.model  || DEFAULT_MODEL;
-      this.endpoint   = MISTRAL_ENDPOINT;
+      this.model      = options.model || "";
       this.calls      = 0;
       this.tokensUsed = 0;
       this.lastError  = null;
-      this._ready     = Boolean(this.apiKey);
+      this.lastErrorKind = null;
+      this.retries    = 0;
+      this.errors     = Object.fromEntries(Object.values(ErrorKind).map(k => [k, 0]));
+      this.retry      = { ...RETRY_DEFAULTS, ...(options.retry || {}) };
+      this._now       = options.now || Date.now;
+      this._sleep     = options.sleep || _sleep;
+      this._random    = options.random || Math.random;
+      this.limiter    = options.rateLimit === null ? null
+        : new TokenBucket({ ...(options.rateLimit || {}), now: this._now, sleep: this._sleep });
+      this.outbound   = options.outbound || null;
+      this._ready     = true;
+      this._cooldownUntil = 0;
     }
 
-    available() { return Boolean(this.apiKey) && this._ready; }
+    get provider() { return "base"; }
 
-    // ── Internal POST ─────────────────────────────────────────────────────
+    available() { return this._ready && this._now() >= this._cooldownUntil; }
 
-    async _post(messages, jsonMode = true) {
-      const payload = { model: this.model, messages, temperature: 0 };
-      if (jsonMode) payload.response_format = { type: "json_object" };
+    async _send(_messages, jsonMode = true) { return jsonMode ? "{}" : ""; }
 
-      try {
-        const res = await fetch(this.endpoint, {
-          method: "POST",
-          headers: {
-            "Authorization": `Bearer ${this.apiKey}`,
-            "Content-Type": "application/json"
-          },
-          body: JSON.stringify(payload)
-        });
-        this.calls++;
-        if (!res.ok) {
-          const err = await res.text().catch(() => "");
-          throw new Error(`HTTP ${res.status}: ${err.slice(0, 200)}`);
+    // ── Rate-limited, retrying POST ───────────────────────────────────────
+
+    async _post(messages, jsonMode = true) {
+      if (this.outbound) {
+        messages = this.outbound(messages, { provider: this.provider, model: this.model, jsonMode });
+      }
+      const { retries, backoffMs, maxBackoffMs, cooldownMs } = this.retry;
+      let err = null;
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        if (this.limiter) await this.limiter.take();
+        try {
+          const out = await this._send(messages, jsonMode);
+          this._cooldownUntil = 0;
+          return out;
+        } catch (e) {
+          err = e instanceof LLMError ? e : new LLMError(ErrorKind.TRANSIENT, String(e?.message || e));
+          this.errors[err.kind]++;
+          this.lastError     = `${err.kind}: ${err.message}`;
+          this.lastErrorKind = err.kind;
         }
-        const data = await res.json();
-        this.tokensUsed += (data.usage?.total_tokens || 0);
-        return data.choices?.[0]?.message?.content || (jsonMode ? "{}" : "");
-      } catch (err) {
-        this.lastError = String(err);
-        this._ready = false;
-        return jsonMode ? "{}" : "";
+        const again = err.retryable && attempt < retries &&
+                      !(err.kind === ErrorKind.MALFORMED && attempt > 0) &&
+                      !(err.retryAfterMs > maxBackoffMs);
+        if (!again) break;
+        this.retries++;
+        const ceiling = Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+        await this._sleep(err.retryAfterMs ?? Math.round(ceiling * (0.5 + this._random() / 2)));
       }
+
+      if (err.kind === ErrorKind.AUTH) this._ready = false;
+      else if (err.kind !== ErrorKind.MALFORMED) {
+        this._cooldownUntil = this._now() + Math.max(cooldownMs, err.retryAfterMs || 0);
+      }
+      return jsonMode ? "{}" : "";
     }
 
     // ── JSON mode ─────────────────────────────────────────────────────────
 
     async chatJson(prompt, system = "") {
-      const messages = [];
-      if (system) messages.push({ role: "system", content: system });
-      messages.push({ role: "user", content: prompt });
-      const raw = await this._post(messages, true);
+      const raw = await this._post(_messages(prompt, system), true);
       return Utils.safeParseJson(raw, {});
     }
 
     // ── Text mode ─────────────────────────────────────────────────────────
 
     async chatText(prompt, system = "") {
-      const messages = [];
-      if (system) messages.push({ role: "system", content: system });
-      messages.push({ role: "user", content: prompt });
-      const raw = await this._post(messages, false);
+      const raw = await this._post(_messages(prompt, system), false);
       return String(raw).trim();
     }
 
     // ── Connectivity test ─────────────────────────────────────────────────
 
+    // Only an auth failure (handled in _post) takes the provider offline; a
+    // 429, 5xx or timeout here just starts the usual cooldown.
     async test() {
+      this._ready = true;
+      this._cooldownUntil = 0;
       const res = await this.chatJson('Return {"ok": true}');
-      const ok = res?.ok === true;
-      this._ready = ok;
-      return ok;
+      return res?.ok === true;
     }
 
     stats() {
-      return { calls: this.calls, tokensUsed: this.tokensUsed, lastError: this.lastError };
+      return {
+        provider: this.provider, model: this.model,
+        calls: this.calls, tokensUsed: this.tokensUsed,
+        retries: this.retries, errors: { ...this.errors },
+        lastError: this.lastError, lastErrorKind: this.lastErrorKind,
+        available: this.available(),
+        cooldownMs: Math.max(0, this._cooldownUntil - this._now())
+      };
     }
   }
 
-  const api = Object.freeze({ MistralClient, DEFAULT_MODEL });
+  // ── OpenAICompatibleClient ────────────────────────────────────────────────
+  // Any server speaking POST /v1/chat/completions (OpenAI, llama.cpp server,
+  // Ollama, vLLM, LM Studio …).  `endpoint` may be a bare base URL
+  // ("http://localhost:11434"), one ending in /v1, or the full completions
+  // URL.  The API key is optional since local servers usually ignore it.
+
+  class OpenAICompatibleClient extends LLMProvider {
+    constructor(options = {}) {
+      super(options);
+      this.apiKey   = options.apiKey || options.api_key || "";
+      this.endpoint = normalizeEndpoint(options.endpoint || options.baseUrl || "");
+      this._ready   = Boolean(this.endpoint);
+    }
+
+    get provider() { return "openai"; }
+
+    available() { return Boolean(this.endpoint) && super.available(); }
+
+    // ── Single HTTP attempt ───────────────────────────────────────────────
+
+    async _send(messages, jsonMode = true) {
+      const payload = { messages, temperature: 0 };
+      if (this.model) payload.model = this.model;
+      if (jsonMode) payload.response_format = { type: "json_object" };
+
+      const headers = { "Content-Type": "application/json" };
+      if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+      let res;
+      try {
+        res = await fetch(this.endpoint, { method: "POST", headers, body: JSON.stringify(payload) });
+      } catch (err) {
+        throw new LLMError(ErrorKind.TRANSIENT, `network: ${err?.message || err}`);
+      }
+      this.calls++;
+      if (!res.ok) {
+        const body = await res.text().catch(() => "");
+        throw LLMError.fromStatus(res.status, body, res.headers?.get?.("Retry-After"));
+      }
+
+      let data;
+      try { data = await res.json(); } catch (_) {
+        throw new LLMError(ErrorKind.MALFORMED, "response body is not JSON", { status: res.status });
+      }
+      this.tokensUsed += (data?.usage?.total_tokens || 0);
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== "string") {
+        throw new LLMError(ErrorKind.MALFORMED, "response has no choices[0].message.content", { status: res.status });
+      }
+      if (jsonMode && Utils.safeParseJson(content, null) === null) {
+        throw new LLMError(ErrorKind.MALFORMED, "JSON mode returned unparseable content", { status: res.status });
+      }
+      return content;
+    }
+  }
+
+  // ── MistralClient ─────────────────────────────────────────────────────────
+  // Hosted Mistral API: fixed endpoint, API key required.
+
+  class MistralClient extends OpenAICompatibleClient {
+    constructor(options = {}) {
+      super({ ...options, endpoint: MISTRAL_ENDPOINT, model: options.model || DEFAULT_MODEL });
+      this._ready = Boolean(this.apiKey);
+    }
+
+    get provider() { return "mistral"; }
+
+    available() { return Boolean(this.apiKey) && super.available(); }
+  }
+
+  // ── MockLLMClient ─────────────────────────────────────────────────────────
+  // Deterministic offline provider for tests and demos.  Never touches the
+  // network.  `options.reply(messages, jsonMode)` overrides the answer;
+  // otherwise JSON prompts in the agent's batch-fill shape are answered from
+  // the "Public profile" line (field label → canonical property), the
+  // connectivity probe returns {"ok": true}, and text prompts echo the first
+  // memory line.  Token usage is estimated at four characters per token.
+
+  class MockLLMClient extends LLMProvider {
+    constructor(options = {}) {
+      super({ ...options, model: options.model || "mock", rateLimit: options.rateLimit || null });
+      this.reply = typeof options.reply === "function" ? options.reply : null;
+    }
+
+    get provider() { return "mock"; }
+
+    async _send(messages, jsonMode = true) {
+      this.calls++;
+      const prompt = messages.map(m => m.content).join("\n");
+      let out = this.reply ? this.reply(messages, jsonMode) : _mockReply(messages, jsonMode);
+      if (out && typeof out === "object") out = JSON.stringify(out);
+      out = String(out ?? (jsonMode ? "{}" : ""));
+      this.tokensUsed += Math.ceil((prompt.length + out.length) / 4);
+      return out;
+    }
+  }
+
+  function _mockReply(messages, jsonMode) {
+    const prompt = messages[messages.length - 1]?.content || "";
+    const lines  = prompt.split("\n");
+    if (!jsonMode) {
+      const mem = lines.find(l => /^\s*-\s+/.test(l));
+      return mem ? mem.replace(/^\s*-\s+/, "") : "UNKNOWN";
+    }
+    if (/"ok"\s*:\s*true/.test(prompt) && !/^Fields:/m.test(prompt)) return { ok: true };
+
+    const fieldsLine  = lines.find(l => l.startsWith("Fields: "));
+    const profileLine = lines.find(l => l.startsWith("Public profile: "));
+    if (!fieldsLine) return {};
+    const labels  = Utils.safeParseJson(fieldsLine.slice("Fields: ".length), []);
+    const profile = profileLine ? Utils.safeParseJson(profileLine.slice("Public profile: ".length), {}) : {};
+    const filled  = {};
+    for (const label of Array.isArray(labels) ? labels : []) {
+      const v = profile[Utils.canonicalId(label)];
+      filled[label] = v === undefined || v === null || v === "" ? "UNKNOWN" : String(v);
+    }
+    return { filled };
+  }
+
+  // ── Factory ───────────────────────────────────────────────────────────────
+  // createLLMClient({provider, apiKey, model, endpoint}) — the settings panel
+  // persists exactly this shape.  Unknown providers fall back to Mistral.
+
+  const PROVIDERS = Object.freeze([
+    { id: "mistral", label: "Mistral API",               needsKey: true,  needsEndpoint: false },
+    { id: "openai",  label: "OpenAI-compatible server",  needsKey: false, needsEndpoint: true  },
+    { id: "mock",    label: "Offline mock (testing)",    needsKey: false, needsEndpoint: false }
+  ]);
+
+  function createLLMClient(config = {}) {
+    switch (config.provider) {
+      case "openai": return new OpenAICompatibleClient(config);
+      case "mock":   return new MockLLMClient(config);
+      default:       return new MistralClient(config);
+    }
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date
+  function parseRetryAfter(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const secs = Number(value);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(value);
+    return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+  }
+
+  function _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function normalizeEndpoint(url) {
+    const u = String(url || "").trim().replace(/\/+$/, "");
+    if (!u) return "";
+    if (/\/chat\/completions$/.test(u)) return u;
+    if (/\/v1$/.test(u)) return `${u}/chat/completions`;
+    return u + COMPLETIONS_PATH;
+  }
+
+  function _messages(prompt, system) {
+    const messages = [];
+    if (system) messages.push({ role: "system", content: system });
+    messages.push({ role: "user", content: prompt });
+    return messages;
+  }
+
+  const api = Object.freeze({
+    LLMProvider, OpenAICompatibleClient, MistralClient, MockLLMClient,
+    LLMError, ErrorKind, TokenBucket, RETRY_DEFAULTS,
+    createLLMClient, normalizeEndpoint, PROVIDERS, DEFAULT_MODEL
+  });
 
   root.AutoFillGraphV5LLMClient = api;
   if (typeof module !== "undefined" && module.exports) module.exports = api;
@@ -12,6 +12,7 @@
     constructor(field, options = {}) {
       this.field      = field;
       this.prop       = options.prop ?? options.property ?? null;
+      this.subject    = options.subject || Schema.SELF;
       this.value      = options.value ?? null;
       this.status     = options.status || Schema.FillStatus.UNKNOWN;
       this.route      = options.route  || null;
@@ -22,7 +23,7 @@
 
     toJSON() {
       return {
-        field: this.field, prop: this.prop, value: this.value,
+        field: this.field, prop: this.prop, subject: this.subject, value: this.value,
         status: this.status, route: this.route,
         confidence: this.confidence, evidence: this.evidence, reason: this.reason
       };
@@ -37,6 +38,9 @@
       this.domain     = options.domain || "general";
       this.fields     = options.fields || [];
       this.results    = options.results || {};    // Map<field, FillResult>
+      this.sections   = options.sections || {};   // repeating sections: {key: {list, blocks, items}}
+      this.persona    = options.persona || null;  // overlay used for this fill (null = base)
+      this.origin     = options.origin || null;   // page origin (site-scoped mapping feedback)
       this.feedback   = options.feedback || {};
       this.accuracy   = options.accuracy ?? null;
       this.created_at = options.created_at || Utils.nowIso();
@@ -49,7 +53,8 @@
       }
       return {
         id: this.id, domain: this.domain, fields: this.fields,
-        results, feedback: this.feedback,
+        results, sections: this.sections, persona: this.persona, origin: this.origin,
+        feedback: this.feedback,
         accuracy: this.accuracy, created_at: this.created_at
       };
     }
@@ -68,25 +73,39 @@
       }
     }
 
+    // Feedback may arrive for an episode in several batches (one badge click
+    // at a time); later batches are merged into the stored episode.
     record(episode, feedback) {
-      episode.feedback = feedback;
-      let hits = 0;
+      const merged = { ...this.feedbackFor(episode.id), ...feedback };
+      episode.feedback = merged;
       for (const [field, action] of Object.entries(feedback)) {
         const r = episode.results[field];
-        if (!r) continue;
+        if (!r || !r.prop) continue;
         const base = action.split(":")[0];
-        if (r.prop) {
-          if (!this._fieldHist.has(r.prop)) this._fieldHist.set(r.prop, []);
-          this._fieldHist.get(r.prop).push(base);
-          if (this._fieldHist.get(r.prop).length > 40) {
-            this._fieldHist.get(r.prop).splice(0, 20);
-          }
+        if (!this._fieldHist.has(r.prop)) this._fieldHist.set(r.prop, []);
+        this._fieldHist.get(r.prop).push(base);
+        if (this._fieldHist.get(r.prop).length > 40) {
+          this._fieldHist.get(r.prop).splice(0, 20);
         }
-        if (base === Schema.FeedbackAction.ACCEPT) hits++;
       }
-      const n = Object.keys(feedback).length;
+      let hits = 0, n = 0;
+      for (const [field, action] of Object.entries(merged)) {
+        if (!episode.results[field]) continue;
+        n++;
+        if (action.split(":")[0] === Schema.FeedbackAction.ACCEPT) hits++;
+      }
       episode.accuracy = n > 0 ? hits / n : null;
-      this._episodes.push(episode.toJSON ? episode.toJSON() : episode);
+
+      const rec = _redactEpisode(episode.toJSON ? episode.toJSON() : episode);
+      const idx = this._episodes.findIndex(e => e.id === episode.id);
+      if (idx >= 0) this._episodes[idx] = rec;
+      else this._episodes.push(rec);
+    }
+
+    // Feedback already recorded for an episode id ({} if none)
+    feedbackFor(id) {
+      const ep = this._episodes.find(e => e.id === id);
+      return ep ? { ...(ep.feedback || {}) } : {};
     }
 
     accuracyFor(prop, window = 20) {
@@ -115,6 +134,25 @@
     static deserialize(data = {}) { return new EpisodicMemory(data); }
   }
 
+  // Episodes are persisted verbatim, so values of RESTRICTED / ENCRYPTED
+  // properties (and corrections to them) are replaced before recording.
+  const REDACTED = "[sealed]";
+
+  function _redactEpisode(ep) {
+    const results  = {};
+    const feedback = { ...(ep.feedback || {}) };
+    for (const [field, r] of Object.entries(ep.results || {})) {
+      const sensitive = r && r.prop &&
+        Schema.getSensitivityForProperty(r.prop) !== Schema.Sensitivity.PUBLIC;
+      if (!sensitive) { results[field] = r; continue; }
+      results[field] = { ...r, value: r.value === "UNKNOWN" ? r.value : REDACTED };
+      if (feedback[field] && feedback[field].startsWith(`${Schema.FeedbackAction.CORRECT}:`)) {
+        feedback[field] = `${Schema.FeedbackAction.CORRECT}:${REDACTED}`;
+      }
+    }
+    return { ...ep, results, feedback };
+  }
+
   // ── WorkingMemory ─────────────────────────────────────────────────────────
 
   class WorkingMemory {
@@ -9,6 +9,11 @@
   // Long-form QA from knowledge graph facts (mirrors Prototype5 answer_question).
   // Retrieves relevant KG triples, prompts Mistral with word-count window,
   // and runs one revision pass if the answer is out of window.
+  // An optional LLMBudget gates both calls; when it is exhausted the
+  // answer degrades to the retrieved facts with reason "budget_exhausted".
+  // An optional ResponseCache returns the final answer for an identical
+  // question, length and retrieved context without calling the LLM — even
+  // while the provider is down or the budget is spent.
 
   const SYS_PROMPT = (
     "You are filling in a form answer from verified personal data. " +
@@ -17,24 +22,42 @@
   );
 
   class Narrator {
-    constructor(llmClient, retriever) {
+    constructor(llmClient, retriever, budget = null, cache = null) {
       this.llm       = llmClient;
       this.retriever = retriever;
+      this.budget    = budget;
+      this.cache     = cache;
     }
 
-    // ── answerQuestion(question, maxWords) → {answer, context} ────────────
+    _budgetOk() { return !this.budget || this.budget.allows(); }
+
+    async _chat(prompt) {
+      const call = () => this.llm.chatText(prompt, SYS_PROMPT);
+      return this.budget ? this.budget.meter(this.llm, call) : call();
+    }
+
+    // ── answerQuestion(question, maxWords) → {answer, context, reason?} ───
 
     async answerQuestion(question, maxWords = 60) {
-      if (!this.llm.available()) {
-        const ctx = this.retriever.retrieve([question], 6);
+      const retrieved = this.retriever.retrieve([question], 12);
+      const ctx = retrieved.map(x => x.triple);
+      const cacheKey = this.cache && this.cache.keyOf(
+        ["narrate", this.llm.provider, this.llm.model, SYS_PROMPT, question, maxWords, ctx]
+      );
+      const cached = this.cache ? this.cache.get(cacheKey) : undefined;
+      if (cached !== undefined) return { answer: cached, context: ctx, cached: true };
+
+      const budgetOk = this._budgetOk();
+      if (!this.llm.available() || !budgetOk) {
+        const facts = ctx.slice(0, 6);
+        const why = budgetOk ? "LLM unavailable" : "LLM budget exhausted";
         return {
-          answer: `LLM unavailable. Relevant facts: ${ctx.map(x => x.triple).slice(0, 3).join("; ")}`,
-          context: ctx.map(x => x.triple)
+          answer: `${why}. Relevant facts: ${facts.slice(0, 3).join("; ")}`,
+          context: facts,
+          reason: budgetOk ? "llm_unavailable" : "budget_exhausted"
         };
       }
 
-      const retrieved = this.retriever.retrieve([question], 12);
-      const ctx = retrieved.map(x => x.triple);
       const loW = Math.max(5, Math.floor(maxWords * 0.85));
       const hiW = Math.max(loW, Math.ceil(maxWords * 1.15));
 
@@ -48,11 +71,11 @@
         `Write ${loW}–${hiW} words. Do not exceed ${hiW} words. Plain text only, no JSON.`
       ].join("\n");
 
-      let answer = await this.llm.chatText(userPrompt, SYS_PROMPT);
+      let answer = await this._chat(userPrompt);
       const wc = answer.split(/\s+/).length;
 
       // One revision pass if out of window
-      if (answer && this.llm.available() && (wc < loW || wc > hiW)) {
+      if (answer && this.llm.available() && this._budgetOk() && (wc < loW || wc > hiW)) {
         const direction = wc < loW ? "expand" : "shorten";
         const elaboration = wc < loW
           ? "Elaborate with context: role, institution, location, skills — draw ONLY from memory.\n"
@@ -72,11 +95,13 @@
           ``,
           `Rewritten answer (${loW}–${hiW} words):`
         ].join("\n");
-        const revised = await this.llm.chatText(revisePrompt, SYS_PROMPT);
+        const revised = await this._chat(revisePrompt);
         if (revised && revised.split(/\s+/).length >= loW) answer = revised.trim();
       }
 
-      return { answer: answer.trim(), context: ctx };
+      answer = answer.trim();
+      if (this.cache && answer) this.cache.set(cacheKey, answer, ctx);
+      return { answer, context: ctx };
     }
   }
 
@@ -0,0 +1,202 @@
+(function initAutoFillGraphV5OptionMatcher(root) {
+  "use strict";
+
+  const Utils = root.AutoFillGraphV5Utils;
+
+  if (!Utils) throw new Error("Load utils.js before optionMatcher.js");
+
+  // ── OptionMatcher ─────────────────────────────────────────────────────────
+  // Maps a KG value onto the choices of a <select>, radio group or checkbox:
+  //   1. exact      — normalised value equals option text or option value
+  //   2. synonym    — both sides canonicalise to the same key of the one
+  //                   table the option set belongs to (country names/codes,
+  //                   US states, yes/no, degree levels);
+  //                   degree levels also match on a leading phrase, so
+  //                   "Master of Science in CS" resolves to "master"
+  //   3. contains   — one side contains the other (≥ 3 chars), best ratio wins
+  // Choice descriptor (sent by the content script):
+  //   { kind: "select"|"radio"|"checkbox"|"checkbox-group", multi, options: [{value, text}] }
+  // match() → { value, text, phase } | { values, texts, phase } (multi) | null
+
+  const COUNTRIES = [
+    ["us", "usa", "united states", "united states of america", "america", "u.s.", "u.s.a."],
+    ["gb", "gbr", "uk", "united kingdom", "great britain", "britain", "england"],
+    ["in", "ind", "india", "bharat"],
+    ["de", "deu", "germany", "deutschland"],
+    ["fr", "fra", "france"],
+    ["cn", "chn", "china", "people's republic of china", "prc"],
+    ["jp", "jpn", "japan"],
+    ["br", "bra", "brazil", "brasil"],
+    ["ca", "can", "canada"],
+    ["au", "aus", "australia"],
+    ["mx", "mex", "mexico"],
+    ["es", "esp", "spain", "espana"],
+    ["it", "ita", "italy", "italia"],
+    ["nl", "nld", "netherlands", "holland", "the netherlands"],
+    ["ch", "che", "switzerland"],
+    ["se", "swe", "sweden"],
+    ["ie", "irl", "ireland"],
+    ["sg", "sgp", "singapore"],
+    ["kr", "kor", "south korea", "korea, republic of", "republic of korea"],
+    ["ae", "are", "united arab emirates", "uae"],
+    ["pk", "pak", "pakistan"],
+    ["bd", "bgd", "bangladesh"],
+    ["ng", "nga", "nigeria"],
+    ["za", "zaf", "south africa"],
+    ["ru", "rus", "russia", "russian federation"],
+    ["nz", "nzl", "new zealand"]
+  ];
+
+  const US_STATES = [
+    ["al", "alabama"], ["ak", "alaska"], ["az", "arizona"], ["ar", "arkansas"],
+    ["ca", "california"], ["co", "colorado"], ["ct", "connecticut"], ["de", "delaware"],
+    ["dc", "district of columbia", "washington dc"], ["fl", "florida"], ["ga", "georgia"],
+    ["hi", "hawaii"], ["id", "idaho"], ["il", "illinois"], ["in", "indiana"], ["ia", "iowa"],
+    ["ks", "kansas"], ["ky", "kentucky"], ["la", "louisiana"], ["me", "maine"],
+    ["md", "maryland"], ["ma", "massachusetts"], ["mi", "michigan"], ["mn", "minnesota"],
+    ["ms", "mississippi"], ["mo", "missouri"], ["mt", "montana"], ["ne", "nebraska"],
+    ["nv", "nevada"], ["nh", "new hampshire"], ["nj", "new jersey"], ["nm", "new mexico"],
+    ["ny", "new york"], ["nc", "north carolina"], ["nd", "north dakota"], ["oh", "ohio"],
+    ["ok", "oklahoma"], ["or", "oregon"], ["pa", "pennsylvania"], ["ri", "rhode island"],
+    ["sc", "south carolina"], ["sd", "south dakota"], ["tn", "tennessee"], ["tx", "texas"],
+    ["ut", "utah"], ["vt", "vermont"], ["va", "virginia"], ["wa", "washington"],
+    ["wv", "west virginia"], ["wi", "wisconsin"], ["wy", "wyoming"]
+  ];
+
+  const BOOLEANS = [
+    ["yes", "y", "true", "1", "on", "checked", "agree", "i agree", "accept"],
+    ["no", "n", "false", "0", "off", "unchecked", "disagree", "decline"]
+  ];
+
+  const DEGREES = [
+    ["high school", "high school diploma", "ged", "secondary school"],
+    ["associate", "associate's", "associates", "associate degree", "a.a.", "a.s."],
+    ["bachelor", "bachelor's", "bachelors", "bachelor's degree", "undergraduate", "b.s.", "bs",
+     "b.a.", "ba", "b.sc", "bsc", "b.tech", "btech", "b.e.", "be", "b.eng", "bachelor of"],
+    ["master", "master's", "masters", "master's degree", "graduate", "m.s.", "ms", "m.a.", "ma",
+     "m.sc", "msc", "m.tech", "mtech", "mba", "m.eng", "meng", "master of"],
+    ["doctorate", "phd", "ph.d", "ph.d.", "doctoral", "doctor of philosophy", "d.phil"]
+  ];
+
+  // table → Map<normalised synonym, canonical>.  Tables are kept apart
+  // because their keys collide ("ca" is Canada and California, "in" India
+  // and Indiana, "de" Germany and Delaware): a value is only looked up in
+  // the table the option set belongs to (see _tableFor).
+  const SYNONYM_TABLES = {
+    bool: BOOLEANS, degree: DEGREES, country: COUNTRIES, state: US_STATES
+  };
+
+  const SYNONYMS = Object.fromEntries(Object.entries(SYNONYM_TABLES).map(([table, groups]) => {
+    const m = new Map();
+    for (const g of groups) {
+      for (const s of g) {
+        const key = _norm(s);
+        if (!m.has(key)) m.set(key, g[0]);
+      }
+    }
+    return [table, m];
+  }));
+
+  class OptionMatcher {
+    match(value, choice = {}) {
+      const options = (choice.options || []).filter(o => o && (o.text || o.value));
+      if (value === null || value === undefined || value === "" || value === "UNKNOWN") return null;
+
+      if (choice.kind === "checkbox") return this._matchCheckbox(value);
+
+      if (choice.multi) {
+        const parts = String(value).split(/\s*[,;|]\s*/).filter(Boolean);
+        const hits = [];
+        for (const p of parts) {
+          const m = this._matchOne(p, options);
+          if (m && !hits.some(h => h.value === m.value)) hits.push(m);
+        }
+        if (!hits.length) return null;
+        return {
+          values: hits.map(h => h.value), texts: hits.map(h => h.text),
+          phase: hits.every(h => h.phase === "exact") ? "exact" : "mixed"
+        };
+      }
+      return this._matchOne(value, options);
+    }
+
+    _matchOne(value, options) {
+      const v = _norm(value);
+      if (!v) return null;
+
+      // 1. exact
+      for (const o of options) {
+        if (_norm(o.text) === v || _norm(o.value) === v) return _hit(o, "exact");
+      }
+
+      // 2. synonym
+      const table = _tableFor(options, v);
+      const key   = table && _synonymKey(table, v);
+      if (key) {
+        const index = SYNONYMS[table];
+        for (const o of options) {
+          if (index.get(_norm(o.text)) === key || index.get(_norm(o.value)) === key) return _hit(o, "synonym");
+        }
+      }
+
+      // 3. containment
+      let best = null, bestS = 0;
+      for (const o of options) {
+        for (const cand of [_norm(o.text), _norm(o.value)]) {
+          if (cand.length < 3 || v.length < 3) continue;
+          if (cand.includes(v) || v.includes(cand)) {
+            const s = Math.min(cand.length, v.length) / Math.max(cand.length, v.length);
+            if (s > bestS) { best = o; bestS = s; }
+          }
+        }
+      }
+      return best && bestS >= 0.5 ? _hit(best, "contains") : null;
+    }
+
+    _matchCheckbox(value) {
+      const key = SYNONYMS.bool.get(_norm(value));
+      if (key === "yes") return { value: true, text: "checked", phase: "synonym" };
+      if (key === "no")  return { value: false, text: "unchecked", phase: "synonym" };
+      return null;
+    }
+  }
+
+  // The table most options belong to; on a tie, one that also knows the value
+  function _tableFor(options, v) {
+    let best = null, bestN = 0, bestKnows = false;
+    for (const [table, index] of Object.entries(SYNONYMS)) {
+      const n = options.filter(o => index.has(_norm(o.text)) || index.has(_norm(o.value))).length;
+      const knows = Boolean(_synonymKey(table, v));
+      if (n > bestN || (n === bestN && n > 0 && knows && !bestKnows)) {
+        best = table; bestN = n; bestKnows = knows;
+      }
+    }
+    return best;
+  }
+
+  // Canonical key of `v` in one table; degrees also match on a leading phrase
+  function _synonymKey(table, v) {
+    const index = SYNONYMS[table];
+    if (index.has(v)) return index.get(v);
+    if (table !== "degree") return null;
+    const words = v.split(" ");
+    for (let n = Math.min(3, words.length - 1); n >= 1; n--) {
+      const key = index.get(words.slice(0, n).join(" "));
+      if (key) return key;
+    }
+    return null;
+  }
+
+  function _hit(o, phase) {
+    return { value: o.value, text: o.text, phase };
+  }
+
+  function _norm(s) {
+    return Utils.normalizeText(String(s ?? "").replace(/[’']/g, "'")).replace(/\.$/, "");
+  }
+
+  const api = Object.freeze({ OptionMatcher });
+
+  root.AutoFillGraphV5OptionMatcher = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
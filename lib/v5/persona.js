@@ -0,0 +1,62 @@
+(function initAutoFillGraphV5Persona(root) {
+  "use strict";
+
+  const Utils = root.AutoFillGraphV5Utils;
+
+  if (!Utils) throw new Error("Load utils.js before persona.js");
+
+  // ── PersonaRegistry ───────────────────────────────────────────────────────
+  // Named personas ("work", "personal", …) layered over the user's base
+  // profile.  The registry only names them; per-property overrides live in
+  // TemporalKG overlays (kg.storeOverlay / kg.current(maxSens, self, persona)).
+  // BASE is the plain profile with no overlay; it cannot be added or removed.
+
+  const BASE = "base";
+
+  class PersonaRegistry {
+    constructor(data = {}) {
+      // personas: Map<name, {label, created_at}>
+      this._personas = new Map();
+      for (const [name, p] of Object.entries(data.personas || {})) {
+        this._personas.set(name, { label: p.label || name, created_at: p.created_at || Utils.nowIso() });
+      }
+    }
+
+    // Returns the canonical persona name ("Work Profile" → "work_profile");
+    // a persona stored under the pre-Unicode id of the same name is reused
+    add(name, label = "") {
+      const legacy = Utils.legacyCanonicalId(name);
+      const key = !this._personas.has(Utils.canonicalId(name)) && legacy && this._personas.has(legacy)
+        ? legacy : Utils.canonicalId(name);
+      if (!key || key === BASE) throw new Error(`PersonaRegistry: invalid persona "${name}"`);
+      if (!this._personas.has(key)) {
+        this._personas.set(key, { label: String(label || name).trim(), created_at: Utils.nowIso() });
+      }
+      return key;
+    }
+
+    remove(name) { return this._personas.delete(name); }
+
+    has(name) { return this._personas.has(name); }
+
+    // Persona to overlay for a requested name; BASE / unknown → null
+    resolve(name) {
+      return name && name !== BASE && this._personas.has(name) ? name : null;
+    }
+
+    list() {
+      return [...this._personas.entries()].map(([name, p]) => ({ name, ...p }));
+    }
+
+    serialize() {
+      return { personas: Object.fromEntries(this._personas) };
+    }
+
+    static deserialize(data = {}) { return new PersonaRegistry(data); }
+  }
+
+  const api = Object.freeze({ PersonaRegistry, BASE });
+
+  root.AutoFillGraphV5Persona = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
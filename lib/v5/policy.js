@@ -0,0 +1,115 @@
+(function initAutoFillGraphV5Policy(root) {
+  "use strict";
+
+  const Schema = root.AutoFillGraphV5Schema;
+  const Utils  = root.AutoFillGraphV5Utils;
+
+  if (!Schema || !Utils) throw new Error("Load schema.js and utils.js before policy.js");
+
+  // ── SitePolicy ────────────────────────────────────────────────────────────
+  // Per-origin allow / deny rules consulted before LEARN, AUTOFILL and
+  // COLLECT_FORM.  A rule pattern is either
+  //   - a full origin   "https://portal.example.com"  (exact match), or
+  //   - a host          "example.com" / "*.example.com" (host + subdomains).
+  // Rule fields (all optional):
+  //   neverLearn, neverFill  — booleans
+  //   maxSensitivity         — Schema.Sensitivity cap for fills on this site
+  //   domain                 — forced router domain ("job", "medical", …)
+  //   persona                — default persona for fills and learning here
+  // When several patterns match, more specific ones override broader ones
+  // field by field.
+
+  const RULE_FIELDS = ["neverLearn", "neverFill", "maxSensitivity", "domain", "persona"];
+
+  class SitePolicy {
+    constructor(data = {}) {
+      // rules: Map<pattern, rule>
+      this._rules = new Map();
+      for (const [pattern, rule] of Object.entries(data.rules || {})) {
+        this.set(pattern, rule);
+      }
+    }
+
+    set(pattern, rule = {}) {
+      const key = _normPattern(pattern);
+      if (!key) throw new Error(`SitePolicy: invalid pattern "${pattern}"`);
+      const clean = { updated_at: rule.updated_at || Utils.nowIso() };
+      if (rule.neverLearn !== undefined) clean.neverLearn = Boolean(rule.neverLearn);
+      if (rule.neverFill  !== undefined) clean.neverFill  = Boolean(rule.neverFill);
+      if (rule.maxSensitivity && Schema.Sensitivity[rule.maxSensitivity]) {
+        clean.maxSensitivity = rule.maxSensitivity;
+      }
+      if (rule.domain) clean.domain = String(rule.domain);
+      if (rule.persona) clean.persona = String(rule.persona);
+      this._rules.set(key, clean);
+      return clean;
+    }
+
+    // Merge fields into the rule stored under exactly this pattern
+    update(pattern, patch = {}) {
+      const existing = this._rules.get(_normPattern(pattern)) || {};
+      return this.set(pattern, { ...existing, ...patch, updated_at: null });
+    }
+
+    remove(pattern) { return this._rules.delete(_normPattern(pattern)); }
+
+    // Effective rule for an origin (empty object when nothing matches)
+    resolve(origin) {
+      const url = _parseOrigin(origin);
+      if (!url) return {};
+      const matches = [];
+      for (const [pattern, rule] of this._rules.entries()) {
+        const spec = _specificity(pattern, url);
+        if (spec > 0) matches.push({ spec, rule });
+      }
+      matches.sort((a, b) => a.spec - b.spec);
+      const out = {};
+      for (const { rule } of matches) {
+        for (const f of RULE_FIELDS) if (rule[f] !== undefined) out[f] = rule[f];
+      }
+      return out;
+    }
+
+    list() {
+      return Array.from(this._rules.entries()).map(([pattern, rule]) => ({ pattern, ...rule }));
+    }
+
+    serialize() {
+      const rules = {};
+      for (const [pattern, rule] of this._rules.entries()) rules[pattern] = rule;
+      return { rules };
+    }
+
+    static deserialize(data = {}) { return new SitePolicy(data); }
+  }
+
+  // ── Pattern helpers ─────────────────────────────────────────────────────────
+
+  function _normPattern(pattern) {
+    const p = String(pattern || "").trim().toLowerCase();
+    if (!p) return null;
+    if (p.includes("://")) {
+      const url = _parseOrigin(p);
+      return url ? url.origin : null;
+    }
+    return p.replace(/^\*\./, "").replace(/\/.*$/, "") || null;
+  }
+
+  function _parseOrigin(origin) {
+    try { return new URL(String(origin || "")); } catch (_) { return null; }
+  }
+
+  // 0 = no match; exact origins outrank any host pattern, longer hosts
+  // outrank shorter ones.
+  function _specificity(pattern, url) {
+    if (pattern.includes("://")) return pattern === url.origin ? 10000 : 0;
+    const host = url.hostname.toLowerCase();
+    if (host === pattern || host.endsWith(`.${pattern}`)) return pattern.length;
+    return 0;
+  }
+
+  const api = Object.freeze({ SitePolicy, RULE_FIELDS });
+
+  root.AutoFillGraphV5Policy = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
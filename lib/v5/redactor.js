@@ -0,0 +1,138 @@
+(function initAutoFillGraphV5Redactor(root) {
+  "use strict";
+
+  const Utils = root.AutoFillGraphV5Utils;
+
+  if (!Utils) throw new Error("Load utils.js before redactor.js");
+
+  // ── Redactor ──────────────────────────────────────────────────────────────
+  // Scrubs outgoing LLM prompts before they leave the device:
+  //   1. known secrets — every RESTRICTED / ENCRYPTED value held in the KG
+  //      (kg.sensitiveValues()), longest first, case-insensitive, as whole
+  //      words only: an allergy of "nuts" leaves "donuts" alone
+  //   2. patterns      — SSN, payment card (Luhn-checked), IBAN, passport and
+  //      account / routing numbers introduced by a keyword
+  // Matches become "[REDACTED:<TYPE>]" (KG values use the property name), so
+  // the model still sees that a value existed without seeing the value.
+  // redact() → {text, hits: {type: count}}
+
+  const PLACEHOLDER_RE = /\[REDACTED:[A-Za-z0-9_]+\]/;
+  const MIN_SECRET_LEN = 3;
+
+  // `group` marks the capture holding the secret; the text before it in the
+  // match (the keyword) is kept.
+  const PATTERNS = [
+    { type: "CARD",     re: /\b\d(?:[ -]?\d){12,18}\b/g, check: _luhn },
+    { type: "SSN",      re: /\b(?!000|666|9\d\d)\d{3}[- ]\d{2}[- ]\d{4}\b/g },
+    { type: "IBAN",     re: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g },
+    { type: "PASSPORT", re: /\b(passport(?:\s+(?:number|no\.?|#))?\s*(?:is|:|=|#)?\s*)([A-Z0-9]{6,9})\b/gi, group: 2 },
+    { type: "PASSPORT", re: /\b[A-Z]{1,2}\d{6,8}\b/g },
+    { type: "ACCOUNT",  re: /\b((?:account|acct|routing|sort code)(?:\s+(?:number|no\.?|#))?\s*(?:is|:|=|#)?\s*)(\d[\d -]{4,32}\d)/gi, group: 2 }
+  ];
+
+  class Redactor {
+    constructor(options = {}) {
+      this.patterns = options.patterns || PATTERNS;
+    }
+
+    redact(text, secrets = []) {
+      let out = String(text ?? "");
+      const hits = {};
+      const hit = type => { hits[type] = (hits[type] || 0) + 1; };
+
+      const known = secrets
+        .filter(s => s && String(s.value).trim().length >= MIN_SECRET_LEN)
+        .sort((a, b) => String(b.value).length - String(a.value).length);
+      for (const { prop, value } of known) {
+        const re = new RegExp(`(?<![\\p{L}\\p{N}])${_escapeRe(String(value).trim())}(?![\\p{L}\\p{N}])`, "giu");
+        out = out.replace(re, () => { hit(prop); return `[REDACTED:${prop}]`; });
+      }
+
+      for (const { type, re, check, group } of this.patterns) {
+        out = out.replace(re, (match, ...groups) => {
+          const secret = group ? groups[group - 1] : match;
+          if (check && !check(secret)) return match;
+          hit(type);
+          return (group ? groups[0] : "") + `[REDACTED:${type}]`;
+        });
+      }
+      return { text: out, hits };
+    }
+
+    // Chat messages in, redacted copies out; hits summed across messages
+    redactMessages(messages = [], secrets = []) {
+      const hits = {};
+      const clean = messages.map(m => {
+        const r = this.redact(m.content, secrets);
+        for (const [t, n] of Object.entries(r.hits)) hits[t] = (hits[t] || 0) + n;
+        return { ...m, content: r.text };
+      });
+      return { messages: clean, hits };
+    }
+
+    static isPlaceholder(value) {
+      return PLACEHOLDER_RE.test(String(value ?? ""));
+    }
+  }
+
+  // ── AuditLog ──────────────────────────────────────────────────────────────
+  // Local, append-only record of every outbound LLM payload (post-redaction).
+  // Keeps the newest `max` entries; persisted with the agent.
+
+  const AUDIT_MAX = 200;
+
+  class AuditLog {
+    constructor(data = {}, options = {}) {
+      this.max      = options.max || AUDIT_MAX;
+      this._entries = Array.isArray(data.entries) ? data.entries.slice(-this.max) : [];
+    }
+
+    append({ provider = null, model = null, jsonMode = true, messages = [], hits = {} } = {}) {
+      const entry = {
+        id:         Utils.createId("out"),
+        at:         Utils.nowIso(),
+        provider, model,
+        mode:       jsonMode ? "json" : "text",
+        redactions: { ...hits },
+        redacted:   Object.values(hits).reduce((s, n) => s + n, 0),
+        chars:      messages.reduce((s, m) => s + String(m.content || "").length, 0),
+        messages:   messages.map(m => ({ role: m.role, content: m.content }))
+      };
+      this._entries.push(entry);
+      if (this._entries.length > this.max) this._entries.splice(0, this._entries.length - this.max);
+      return entry;
+    }
+
+    // Newest first
+    list(limit = 50) { return this._entries.slice(-limit).reverse(); }
+
+    get size() { return this._entries.length; }
+
+    clear() { this._entries = []; }
+
+    serialize() { return { entries: this._entries.slice() }; }
+
+    static deserialize(data = {}) { return new AuditLog(data); }
+  }
+
+  function _luhn(digits) {
+    const d = String(digits).replace(/\D/g, "");
+    if (d.length < 13 || d.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < d.length; i++) {
+      let n = Number(d[d.length - 1 - i]);
+      if (i % 2 === 1) { n *= 2; if (n > 9) n -= 9; }
+      sum += n;
+    }
+    return sum % 10 === 0;
+  }
+
+  function _escapeRe(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  const api = Object.freeze({ Redactor, AuditLog, PATTERNS });
+
+  root.AutoFillGraphV5Redactor = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -18,10 +18,19 @@
       this.index = [];
     }
 
-    // Rebuild the triple index from the KG
+    // Rebuild the triple index from the KG.  Custom properties have no
+    // built-in vocabulary, so their triples are embedded together with the
+    // property's description and aliases ("t shirt size" ~ "shirt size").
     rebuild(kg) {
       const triples = kg.triples(Schema.Sensitivity.PUBLIC);
-      this.index = triples.map(t => ({ triple: t, vec: Utils.embed(t) }));
+      const hints = Schema.customProperties().map(p => ({
+        head: ` ${p.name.replace(/_/g, " ")} is `,
+        text: [p.description, ...p.aliases].join(" ")
+      }));
+      this.index = triples.map(t => {
+        const hint = hints.find(h => t.includes(h.head));
+        return { triple: t, vec: Utils.embed(hint ? `${t} ${hint.text}` : t) };
+      });
     }
 
     // Retrieve top-k triples for a set of field labels
@@ -5,6 +5,10 @@
     PUBLIC: "PUBLIC", RESTRICTED: "RESTRICTED", ENCRYPTED: "ENCRYPTED"
   });
 
+  const SENSITIVITY_RANK = Object.freeze({
+    [Sensitivity.PUBLIC]: 0, [Sensitivity.RESTRICTED]: 1, [Sensitivity.ENCRYPTED]: 2
+  });
+
   const FillStatus = Object.freeze({
     FILLED: "FILLED", INFERRED: "INFERRED", GENERATED: "GENERATED",
     UNKNOWN: "UNKNOWN", IMAGE_FILLED: "IMAGE_FILLED", NOT_APPLICABLE: "NOT_APPLICABLE"
@@ -13,7 +17,7 @@
   const Route = Object.freeze({
     LOCAL: "local", COMPOSITIONAL: "compositional", INFERENCE: "inference",
     RETRIEVAL_LLM: "retrieval_llm", LLM_SMALL: "llm_small", LLM_LARGE: "llm_large",
-    DOMAIN_GUARD: "domain_guard", IMAGE: "image"
+    DOMAIN_GUARD: "domain_guard", IMAGE: "image", CONSENT: "consent"
   });
 
   const FeedbackAction = Object.freeze({
@@ -29,7 +33,31 @@
   const RelationType = Object.freeze({
     STUDIED_AT: "STUDIED_AT", EMPLOYED_AT: "EMPLOYED_AT",
     AFFILIATED_WITH: "AFFILIATED_WITH", LOCATED_IN: "LOCATED_IN",
-    USES_SKILL: "USES_SKILL", HAS_CREDENTIAL: "HAS_CREDENTIAL"
+    USES_SKILL: "USES_SKILL", HAS_CREDENTIAL: "HAS_CREDENTIAL",
+    SPOUSE_OF: "SPOUSE_OF", PARENT_OF: "PARENT_OF", EMERGENCY_CONTACT: "EMERGENCY_CONTACT"
+  });
+
+  // ── Subjects (people a form can ask about) ──────────────────────────────────
+  // "self" is the user node; every other subject is a person node linked to
+  // the user by `relation`.  `cues` are label phrases that switch a field to
+  // that subject ("Spouse's first name", "Emergency contact phone").
+
+  const SELF = "self";
+
+  const SUBJECT_DEFINITIONS = Object.freeze({
+    self: { label: "Self", relation: null, cues: [] },
+    spouse: {
+      label: "Spouse", relation: RelationType.SPOUSE_OF,
+      cues: ["spouse", "spousal", "husband", "wife", "partner", "spouse or partner"]
+    },
+    child: {
+      label: "Child", relation: RelationType.PARENT_OF,
+      cues: ["child", "dependent", "dependant", "son", "daughter", "minor"]
+    },
+    emergency_contact: {
+      label: "Emergency contact", relation: RelationType.EMERGENCY_CONTACT,
+      cues: ["emergency contact", "emergency", "in case of emergency", "next of kin"]
+    }
   });
 
   // ── Layers ──────────────────────────────────────────────────────────────────
@@ -37,12 +65,15 @@
   const LAYER_DEFINITIONS = Object.freeze({
     identity: {
       sensitivity: Sensitivity.PUBLIC,
-      properties: ["full_name", "first_name", "last_name", "display_name", "aliases"]
+      properties: [
+        "full_name", "first_name", "last_name", "display_name", "aliases",
+        "date_of_birth", "birth_day", "birth_month", "birth_year"
+      ]
     },
     contact: {
       sensitivity: Sensitivity.PUBLIC,
       properties: [
-        "email", "work_email", "phone", "address", "city", "state",
+        "email", "work_email", "phone", "address", "address_line2", "city", "state",
         "region", "zip_code", "country", "linkedin", "portfolio"
       ]
     },
@@ -81,32 +112,136 @@
     }
   });
 
+  // ── Property value types ────────────────────────────────────────────────────
+  // Every property declares a type; validate() gates writes to the KG and
+  // normalize() canonicalises what gets stored (see validateValue below).
+  // ENUM properties list their `options`; IMAGE_REF values are data: / blob:
+  // / http(s) URLs or stored image ids ("img_…").
+
+  const PropertyType = Object.freeze({
+    EMAIL: "email", PHONE: "phone", DATE: "date", POSTAL_CODE: "postal_code",
+    URL: "url", NUMBER: "number", ENUM: "enum", TEXT: "text", IMAGE_REF: "image_ref"
+  });
+
+  const MONTH_RE = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i;
+
+  const CURRENCY_CODE = "(usd|eur|gbp|inr|cad|aud|chf|jpy|cny)";
+  const NUMBER_UNIT   = `(${CURRENCY_CODE}|years?|yrs?|months?|mos?|weeks?|hours?|hrs?|` +
+                        "dollars?|euros?|pounds?|rupees?|lakhs?|lpa|gross|net|annually|yearly|monthly|" +
+                        "p\\.?a\\.?|(per|a|an)\\s+(year|annum|month|week|hour))";
+  const NUMBER_RE = new RegExp(
+    `^(${CURRENCY_CODE}\\s*)?[$€£₹]?\\s*-?\\d[\\d,]*(\\.\\d+)?(\\s*[-–]\\s*\\d[\\d,]*(\\.\\d+)?)?` +
+    "\\s*(\\/\\s*\\d+(\\.\\d+)?|\\s+out\\s+of\\s+\\d+(\\.\\d+)?)?\\s*[kKmM%+]?" +
+    `(\\s*(${NUMBER_UNIT})){0,2}$`, "i"
+  );
+
+  const TYPE_DEFINITIONS = Object.freeze({
+    [PropertyType.EMAIL]: {
+      validate:  v => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(v),
+      normalize: v => v.toLowerCase()
+    },
+    [PropertyType.PHONE]: {
+      validate:  v => /^\+?[\d\s().\/-]+(\s*(x|ext\.?)\s*\d{1,5})?$/i.test(v) &&
+                      _digitCount(v.replace(/(x|ext\.?)\s*\d+$/i, "")) >= 7 &&
+                      _digitCount(v.replace(/(x|ext\.?)\s*\d+$/i, "")) <= 15,
+      normalize: v => v.replace(/\s+/g, " ")
+    },
+    [PropertyType.DATE]: {
+      // ISO, "May 2024", "5 May 2024", 05/15/2024, 15.05.2024, 05/2024, 2024
+      validate:  v => /^\d{4}(-\d{2}(-\d{2})?)?$/.test(v) ||
+                      /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/.test(v) ||
+                      /^(0?[1-9]|1[0-2])[/.-]\d{4}$/.test(v) ||
+                      (MONTH_RE.test(v) && /\d{4}/.test(v) && !Number.isNaN(Date.parse(v.replace(/(\d)(st|nd|rd|th)\b/, "$1")))),
+      // Unambiguous long forms become ISO; numeric day/month orders are kept as typed
+      normalize: v => {
+        if (!MONTH_RE.test(v) || !/\b\d{1,2}(st|nd|rd|th)?\b/.test(v.replace(/\d{4}/, ""))) return v;
+        const d = new Date(Date.parse(v.replace(/(\d)(st|nd|rd|th)\b/, "$1") + " UTC"));
+        return Number.isNaN(d.getTime()) ? v : d.toISOString().slice(0, 10);
+      }
+    },
+    [PropertyType.POSTAL_CODE]: {
+      validate:  v => /^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/.test(v) && /\d/.test(v),
+      normalize: v => v.toUpperCase().replace(/\s+/g, " ")
+    },
+    [PropertyType.URL]: {
+      validate:  v => /^(https?:\/\/)?([\w-]+\.)+[a-z]{2,}(:\d+)?(\/\S*)?$/i.test(v),
+      normalize: v => (/^https?:\/\//i.test(v) ? v : `https://${v}`)
+    },
+    [PropertyType.NUMBER]: {
+      // "3.8", "3.8/4.0", "$85,000", "85k", "5+", "95%", "2-3", plus a unit
+      // or currency as people type it: "5 years", "85,000 USD", "USD 85,000",
+      // "3.8 out of 4", "60k per year".  Bare figures lose their spaces;
+      // values with words keep single spaces.
+      validate:  v => NUMBER_RE.test(v),
+      normalize: v => (/[a-z]/i.test(v) ? v.replace(/\s+/g, " ") : v.replace(/\s+/g, ""))
+    },
+    [PropertyType.ENUM]: {
+      validate:  (v, def) => Boolean(_enumOption(v, def)),
+      normalize: (v, def) => _enumOption(v, def) || v
+    },
+    [PropertyType.TEXT]: {
+      validate:  v => v.length > 0,
+      normalize: v => v
+    },
+    [PropertyType.IMAGE_REF]: {
+      validate:  v => /^data:image\/[\w.+-]+;base64,/i.test(v) || /^(blob:|https?:\/\/)\S+$/i.test(v) ||
+                      /^img_[\w-]+$/.test(v) || /\.(png|jpe?g|gif|webp|bmp|tiff?|pdf)$/i.test(v),
+      normalize: v => v
+    }
+  });
+
   // ── Property definitions (v5 — adds research_interests, research_statement) ──
 
   const PROPERTY_DEFINITIONS = Object.freeze({
     full_name: {
       description: "The user's complete legal or preferred full name.",
+      type: PropertyType.TEXT,
       aliases: ["full name", "name", "legal name", "candidate name", "applicant name",
                 "your name", "employee name"]
     },
     first_name: {
       description: "The user's given name or first name.",
+      type: PropertyType.TEXT,
       aliases: ["first name", "given name", "forename", "fname"]
     },
     last_name: {
       description: "The user's family name or surname.",
+      type: PropertyType.TEXT,
       aliases: ["last name", "surname", "family name", "lname"]
     },
     display_name: {
       description: "The user's display name or preferred public name.",
+      type: PropertyType.TEXT,
       aliases: ["display name", "preferred name", "public name"]
     },
     aliases: {
       description: "Other names or aliases used by the user.",
+      type: PropertyType.TEXT,
       aliases: ["alias", "other names", "known as"]
     },
+    date_of_birth: {
+      description: "The user's date of birth.",
+      type: PropertyType.DATE,
+      aliases: ["date of birth", "birth date", "birthdate", "birthday", "dob", "born on"]
+    },
+    birth_day: {
+      description: "The day of the month the user was born on.",
+      type: PropertyType.NUMBER,
+      aliases: ["day of birth", "birth day"]
+    },
+    birth_month: {
+      description: "The month the user was born in.",
+      type: PropertyType.NUMBER,
+      aliases: ["month of birth", "birth month"]
+    },
+    birth_year: {
+      description: "The year the user was born in.",
+      type: PropertyType.NUMBER,
+      aliases: ["year of birth", "birth year"]
+    },
     email: {
       description: "The user's primary email address for contact.",
+      type: PropertyType.EMAIL,
       aliases: [
         "email", "e-mail", "email address", "contact email", "electronic mail",
         "primary electronic mail", "digital inbox", "how should we reach you digitally"
@@ -114,118 +249,148 @@
     },
     work_email: {
       description: "The user's work or institutional email address.",
+      type: PropertyType.EMAIL,
       aliases: ["work email", "business email", "institutional email", "official email",
                 "digital inbox for official correspondence"]
     },
     phone: {
       description: "The user's phone or mobile contact number.",
+      type: PropertyType.PHONE,
       aliases: ["phone", "telephone", "phone number", "mobile", "cell",
                 "contact number", "mobile number"]
     },
     address: {
       description: "The user's street or mailing address.",
+      type: PropertyType.TEXT,
       aliases: ["address", "street address", "mailing address", "home address",
                 "residential address", "current address"]
     },
+    address_line2: {
+      description: "The second line of the user's address: apartment, suite, unit or floor.",
+      type: PropertyType.TEXT,
+      aliases: ["address line 2", "apartment", "apartment, suite, etc.", "apt", "suite", "flat"]
+    },
     city: {
       description: "The city where the user lives or is located.",
+      type: PropertyType.TEXT,
       aliases: ["city", "town", "municipality"]
     },
     state: {
       description: "The state or province where the user lives.",
+      type: PropertyType.TEXT,
       aliases: ["state", "province", "territory"]
     },
     region: {
       description: "The region, state, or administrative area.",
+      type: PropertyType.TEXT,
       aliases: ["region", "state/region", "state or region"]
     },
     zip_code: {
       description: "The user's ZIP code or postal code.",
+      type: PropertyType.POSTAL_CODE,
       aliases: ["zip", "zip code", "postal code", "postcode", "pin code"]
     },
     country: {
       description: "The country where the user lives or is located.",
+      type: PropertyType.TEXT,
       aliases: ["country", "nation", "country of residence"]
     },
     linkedin: {
       description: "The user's LinkedIn profile URL or handle.",
+      type: PropertyType.TEXT,
       aliases: ["linkedin", "linkedin profile", "linkedin url"]
     },
     portfolio: {
       description: "The user's portfolio, website, GitHub, or personal site URL.",
+      type: PropertyType.URL,
       aliases: ["portfolio", "website", "personal website", "github", "portfolio url",
                 "where can we see your work", "public code repository or project page"]
     },
     university: {
       description: "The user's university, college, school, or academic institution.",
+      type: PropertyType.TEXT,
       aliases: ["university", "school", "college", "institution", "alma mater",
                 "university name", "institution name"]
     },
     department: {
       description: "The user's academic department or field of study.",
+      type: PropertyType.TEXT,
       aliases: ["department", "academic department", "program department",
                 "field inferred from your program", "field of study"]
     },
     degree: {
       description: "The user's degree, program, major, or academic qualification.",
+      type: PropertyType.TEXT,
       aliases: ["degree", "program", "major", "qualification", "degree program",
                 "field of study", "area of study"]
     },
     gpa: {
       description: "The user's grade point average or academic score.",
+      type: PropertyType.NUMBER,
       aliases: ["gpa", "grade point average", "cgpa", "cumulative gpa", "academic score",
                 "cumulative academic score", "quantitative measure of academic performance",
                 "numerical academic performance indicator", "academic performance"]
     },
     graduation_date: {
       description: "The user's graduation or completion date.",
+      type: PropertyType.DATE,
       aliases: ["graduation date", "grad date", "completion date", "expected graduation",
                 "expected graduation date"]
     },
     thesis: {
       description: "The user's thesis, dissertation, or research topic.",
+      type: PropertyType.TEXT,
       aliases: ["thesis", "dissertation", "research topic", "thesis title"]
     },
     advisor: {
       description: "The user's advisor, supervisor, or faculty advisor.",
+      type: PropertyType.TEXT,
       aliases: ["advisor", "supervisor", "thesis advisor", "faculty advisor",
                 "who supervises your research", "faculty mentor supervising thesis work",
                 "academic advisor"]
     },
     research_interests: {
       description: "The user's research interests, focus areas, and academic pursuits.",
+      type: PropertyType.TEXT,
       aliases: ["research interests", "research focus", "areas of interest",
                 "academic interests", "research areas"]
     },
     employer: {
       description: "The user's current employer, company, or workplace.",
+      type: PropertyType.TEXT,
       aliases: ["employer", "company", "organization", "workplace", "current employer"]
     },
     job_title: {
       description: "The user's job title, position, role, or designation.",
+      type: PropertyType.TEXT,
       aliases: ["job title", "title", "position", "role", "designation",
                 "your role in one line"]
     },
     skills: {
       description: "The user's technical skills, abilities, competencies, or tools.",
+      type: PropertyType.TEXT,
       aliases: ["skills", "technical skills", "expertise", "competencies", "technologies",
                 "what tools can you use", "tools and skills"]
     },
     years_experience: {
       description: "The user's years of professional experience.",
+      type: PropertyType.NUMBER,
       aliases: ["years of experience", "experience", "work experience", "total experience"]
     },
     resume: {
       description: "The user's resume or CV text.",
+      type: PropertyType.TEXT,
       aliases: ["resume", "cv", "curriculum vitae"]
     },
     bio: {
       description: "The user's biography, profile, summary, or personal statement.",
+      type: PropertyType.TEXT,
       aliases: ["bio", "biography", "about", "summary", "profile", "personal statement",
                 "professional summary", "career summary"]
     },
     research_statement: {
       description: "The user's research statement, statement of purpose, or academic narrative.",
+      type: PropertyType.TEXT,
       aliases: [
         "research statement", "statement of purpose", "research narrative",
         "academic statement", "sop", "personal statement of research"
@@ -233,89 +398,111 @@
     },
     allergies: {
       description: "The user's allergies.",
+      type: PropertyType.TEXT,
       aliases: ["allergies", "known allergies", "allergy"]
     },
     blood_type: {
       description: "The user's blood type.",
+      type: PropertyType.ENUM,
+      options: ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"],
       aliases: ["blood type", "blood group"]
     },
     insurance_id: {
       description: "The user's health insurance identifier.",
+      type: PropertyType.TEXT,
       aliases: ["insurance id", "insurance number", "policy number", "member id"]
     },
     conditions: {
       description: "The user's medical conditions.",
+      type: PropertyType.TEXT,
       aliases: ["conditions", "medical conditions", "diagnoses"]
     },
     medications: {
       description: "The user's medications.",
+      type: PropertyType.TEXT,
       aliases: ["medications", "medicine", "current medications"]
     },
     primary_care: {
       description: "The user's primary care physician or clinic.",
+      type: PropertyType.TEXT,
       aliases: ["primary care", "primary doctor", "pcp"]
     },
     ssn: {
       description: "The user's social security number.",
+      type: PropertyType.TEXT,
       aliases: ["ssn", "social security", "social security number"]
     },
     tax_id: {
       description: "The user's tax identifier.",
+      type: PropertyType.TEXT,
       aliases: ["tax id", "tin", "tax identification number"]
     },
     bank_name: {
       description: "The user's bank name.",
+      type: PropertyType.TEXT,
       aliases: ["bank", "bank name", "financial institution"]
     },
     annual_income: {
       description: "The user's annual income.",
+      type: PropertyType.NUMBER,
       aliases: ["annual income", "income", "yearly income", "salary"]
     },
     credit_score: {
       description: "The user's credit score.",
+      type: PropertyType.NUMBER,
       aliases: ["credit score", "fico score"]
     },
     passport_number: {
       description: "The user's passport number.",
+      type: PropertyType.TEXT,
       aliases: ["passport number", "passport no", "passport"]
     },
     visa_status: {
       description: "The user's visa or immigration status.",
+      type: PropertyType.TEXT,
       aliases: ["visa status", "immigration status", "current visa",
                 "immigration authorization category"]
     },
     drivers_license: {
       description: "The user's driver's license number.",
+      type: PropertyType.TEXT,
       aliases: ["drivers license", "driver license", "license number",
                 "driver license number"]
     },
     citizenship: {
       description: "The user's citizenship or nationality.",
+      type: PropertyType.TEXT,
       aliases: ["citizenship", "citizen of", "nationality"]
     },
     profile_photo: {
       description: "The user's profile photo or headshot.",
+      type: PropertyType.IMAGE_REF,
       aliases: ["profile photo", "headshot", "photo", "profile picture", "portrait"]
     },
     signature: {
       description: "The user's signature image.",
+      type: PropertyType.IMAGE_REF,
       aliases: ["signature", "sign here", "upload signature",
                 "scanned handwritten approval mark"]
     },
     resume_scan: {
       description: "A scanned resume or CV document.",
+      type: PropertyType.IMAGE_REF,
       aliases: ["resume scan", "cv upload", "upload resume"]
     },
     transcript_scan: {
       description: "A scanned academic transcript.",
+      type: PropertyType.IMAGE_REF,
       aliases: ["transcript", "academic transcript", "upload transcript", "grade report"]
     },
     id_scan: {
       description: "A scanned identification document.",
+      type: PropertyType.IMAGE_REF,
       aliases: ["id scan", "identity document", "government id", "id upload"]
     },
     passport_scan: {
       description: "A scanned passport document.",
+      type: PropertyType.IMAGE_REF,
       aliases: ["passport scan", "passport upload", "copy of passport"]
     }
   });
@@ -358,6 +545,76 @@
     resume_scan: ["resume", "cv", "curriculum vitae"]
   });
 
+  // ── List definitions (repeating sections) ───────────────────────────────────
+  // Ordered multi-item records: each item holds its own sub-fields.  A sub-field
+  // named after a property inherits that property's aliases; `aliases` adds
+  // list-specific ones.  Item values are addressed as "<list>.<index>.<field>".
+
+  const LIST_DEFINITIONS = Object.freeze({
+    education: {
+      description: "Schools attended, most recent first.",
+      aliases: ["education", "education history", "academic history", "schools"],
+      fields: {
+        university: ["school", "institution", "college", "school name"],
+        degree: ["qualification"],
+        department: ["field of study", "major", "discipline"],
+        gpa: ["grade", "cgpa"],
+        start_date: ["start date", "from", "start", "date started"],
+        end_date: ["end date", "to", "until", "end", "graduation date", "date completed"]
+      }
+    },
+    employment: {
+      description: "Jobs held, most recent first.",
+      aliases: ["employment", "employment history", "work history", "experience"],
+      fields: {
+        employer: ["company name", "employer name", "organisation"],
+        job_title: ["job role", "position title"],
+        location: ["location", "city", "work location"],
+        description: ["description", "responsibilities", "duties", "achievements"],
+        start_date: ["start date", "from", "start", "date started"],
+        end_date: ["end date", "to", "until", "end", "date left"]
+      }
+    },
+    references: {
+      description: "Professional or academic references.",
+      aliases: ["references", "referees"],
+      fields: {
+        name: ["reference name", "referee name", "name", "full name"],
+        email: ["reference email", "referee email", "email", "email address"],
+        phone: ["reference phone", "referee phone", "phone", "phone number"],
+        relationship: ["relationship", "relation", "how do you know"],
+        organization: ["organization", "organisation", "company", "institution"]
+      }
+    },
+    languages: {
+      description: "Languages spoken and proficiency.",
+      aliases: ["languages", "languages spoken"],
+      fields: {
+        language: ["language", "language name"],
+        proficiency: ["proficiency", "level", "fluency", "proficiency level"]
+      }
+    }
+  });
+
+  // ── HTML autocomplete tokens ─────────────────────────────────────────────────
+  // WHATWG autofill field names → property.  "work" + email / tel resolve to
+  // the work_* property where one exists (see FieldMapper._autocomplete).
+
+  const AUTOCOMPLETE_TOKENS = Object.freeze({
+    "name": "full_name", "given-name": "first_name", "family-name": "last_name",
+    "nickname": "display_name", "username": "display_name",
+    "email": "email",
+    "tel": "phone", "tel-national": "phone", "tel-local": "phone",
+    "street-address": "address", "address-line1": "address", "address-line2": "address_line2",
+    "address-level2": "city", "address-level1": "state",
+    "postal-code": "zip_code", "country": "country", "country-name": "country",
+    "organization": "employer", "organization-title": "job_title",
+    "url": "portfolio", "photo": "profile_photo",
+    "bday": "date_of_birth", "bday-day": "birth_day", "bday-month": "birth_month", "bday-year": "birth_year"
+  });
+
+  const AUTOCOMPLETE_WORK = Object.freeze({ email: "work_email" });
+
   // ── Domain sensitivity limits ────────────────────────────────────────────────
 
   const DOMAIN_MAX_SENSITIVITY = Object.freeze({
@@ -366,18 +623,151 @@
     document: Sensitivity.RESTRICTED
   });
 
+  // ── Custom schema registry ───────────────────────────────────────────────────
+  // Runtime extension of the frozen built-ins: users declare their own
+  // properties (t-shirt size, ORCID, dietary restrictions, …) and layers.
+  // A custom property gets the same treatment as a built-in one — aliases and
+  // a description for the FieldMapper, a layer / sensitivity for the KG and
+  // retriever, a type for validation.  Built-in names cannot be redefined.
+  // The agent persists the registry (serializeCustom / loadCustom).
+
+  const CUSTOM_LAYER = "custom";
+
+  const _customLayers     = new Map();   // name → {sensitivity, description}
+  const _customProperties = new Map();   // name → {description, aliases, layer, sensitivity, type, options}
+
+  function _schemaId(value) {
+    return String(value || "").normalize("NFKC").toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, "_").replace(/^_+|_+$/g, "");
+  }
+
+  function _cleanSensitivity(value) {
+    const v = String(value || "").toUpperCase();
+    return Sensitivity[v] ? v : null;
+  }
+
+  function defineLayer(name, spec = {}) {
+    const id = _schemaId(name);
+    if (!id) throw new Error("Layer name is required");
+    if (LAYER_DEFINITIONS[id]) throw new Error(`"${id}" is a built-in layer`);
+    const def = Object.freeze({
+      sensitivity: _cleanSensitivity(spec.sensitivity) || Sensitivity.PUBLIC,
+      description: String(spec.description || "").trim()
+    });
+    _customLayers.set(id, def);
+    return { name: id, ...def };
+  }
+
+  // Fails (returns false) while a custom property still lives in the layer
+  function removeLayer(name) {
+    const id = _schemaId(name);
+    if ([..._customProperties.values()].some(p => p.layer === id)) return false;
+    return _customLayers.delete(id);
+  }
+
+  // defineProperty(name, {description, aliases, layer, sensitivity, type, options})
+  //   layer       — built-in or custom layer; default "custom" (PUBLIC)
+  //   sensitivity — optional override of the layer's sensitivity
+  //   type        — a PropertyType; default TEXT
+  function defineProperty(name, spec = {}) {
+    const id = _schemaId(name);
+    if (!id) throw new Error("Property name is required");
+    if (PROPERTY_DEFINITIONS[id] || LIST_DEFINITIONS[id]) throw new Error(`"${id}" is a built-in property`);
+    const layer = _schemaId(spec.layer) || CUSTOM_LAYER;
+    if (!LAYER_DEFINITIONS[layer] && !_customLayers.has(layer)) {
+      if (layer !== CUSTOM_LAYER) throw new Error(`Unknown layer "${layer}"`);
+      defineLayer(CUSTOM_LAYER, { description: "User-defined properties" });
+    }
+    const type = Object.values(PropertyType).includes(spec.type) ? spec.type : PropertyType.TEXT;
+    const aliases = (Array.isArray(spec.aliases) ? spec.aliases : String(spec.aliases || "").split(","))
+      .map(a => String(a).toLowerCase().trim()).filter(Boolean);
+    const def = Object.freeze({
+      description: String(spec.description || "").trim() || `The user's ${id.replace(/_/g, " ")}.`,
+      aliases:     Object.freeze([...new Set([id.replace(/_/g, " "), ...aliases])]),
+      layer,
+      sensitivity: _cleanSensitivity(spec.sensitivity),
+      type,
+      options:     type === PropertyType.ENUM ? Object.freeze((spec.options || []).map(String)) : undefined
+    });
+    _customProperties.set(id, def);
+    return { name: id, ...def };
+  }
+
+  function removeProperty(name) {
+    return _customProperties.delete(_schemaId(name));
+  }
+
+  function isCustomProperty(property) {
+    return _customProperties.has(property);
+  }
+
+  function customProperties() {
+    return [..._customProperties].map(([name, def]) => ({
+      name, ...def, effectiveSensitivity: getSensitivityForProperty(name)
+    }));
+  }
+
+  function customLayers() {
+    return [..._customLayers].map(([name, def]) => ({ name, ...def }));
+  }
+
+  // Built-in + custom property definitions, keyed by property
+  function propertyDefinitions() {
+    return { ...PROPERTY_DEFINITIONS, ...Object.fromEntries(_customProperties) };
+  }
+
+  // Built-in + custom layers, each with its current property list
+  function layerDefinitions() {
+    const out = {};
+    for (const [layer, def] of Object.entries(LAYER_DEFINITIONS)) {
+      out[layer] = { sensitivity: def.sensitivity, properties: [...def.properties] };
+    }
+    for (const [layer, def] of _customLayers) {
+      out[layer] = { sensitivity: def.sensitivity, description: def.description, properties: [] };
+    }
+    for (const [prop, def] of _customProperties) out[def.layer]?.properties.push(prop);
+    return out;
+  }
+
+  function getPropertyDefinition(property) {
+    return PROPERTY_DEFINITIONS[property] || _customProperties.get(property) || null;
+  }
+
+  function serializeCustom() {
+    return {
+      layers:     Object.fromEntries(_customLayers),
+      properties: Object.fromEntries(_customProperties)
+    };
+  }
+
+  // Replaces the registry; invalid entries are skipped
+  function loadCustom(data = {}) {
+    _customLayers.clear();
+    _customProperties.clear();
+    for (const [name, spec] of Object.entries(data?.layers || {})) {
+      try { defineLayer(name, spec); } catch { /* skip */ }
+    }
+    for (const [name, spec] of Object.entries(data?.properties || {})) {
+      try { defineProperty(name, spec); } catch { /* skip */ }
+    }
+  }
+
   // ── Helpers ──────────────────────────────────────────────────────────────────
 
   function getLayerForProperty(property) {
     for (const [layer, def] of Object.entries(LAYER_DEFINITIONS)) {
       if (def.properties.includes(property)) return layer;
     }
+    const custom = _customProperties.get(property);
+    if (custom) return custom.layer;
     return "identity";
   }
 
   function getSensitivityForProperty(property) {
+    const custom = _customProperties.get(property);
+    if (custom?.sensitivity) return custom.sensitivity;
     const layer = getLayerForProperty(property);
-    return LAYER_DEFINITIONS[layer]?.sensitivity || Sensitivity.PUBLIC;
+    return (LAYER_DEFINITIONS[layer] || _customLayers.get(layer))?.sensitivity || Sensitivity.PUBLIC;
   }
 
   function buildPropLayer() {
@@ -390,11 +780,84 @@
 
   const PROP_LAYER = buildPropLayer();
 
+  // "employment.1.job_title" ⇄ {list, index, field}
+  function listPath(list, index, field) {
+    return `${list}.${index}.${field}`;
+  }
+
+  function parseListPath(prop) {
+    const m = /^([a-z_]+)\.(\d+)\.([a-z_]+)$/.exec(String(prop || ""));
+    if (!m || !LIST_DEFINITIONS[m[1]]) return null;
+    return { list: m[1], index: Number(m[2]), field: m[3] };
+  }
+
+  // sub-field → aliases for one list (inherited property aliases included)
+  function listFieldAliases(list) {
+    const out = {};
+    for (const [field, extra] of Object.entries(LIST_DEFINITIONS[list]?.fields || {})) {
+      out[field] = [...(PROPERTY_DEFINITIONS[field]?.aliases || []), ...extra];
+    }
+    return out;
+  }
+
+  // ── Property types ──────────────────────────────────────────────────────────
+
+  // Type of a property or list path ("education.0.gpa" → gpa's type;
+  // list date sub-fields are dates).  Unknown properties are free text.
+  function getPropertyType(property) {
+    const path = parseListPath(property);
+    const prop = path ? path.field : property;
+    const def  = getPropertyDefinition(prop);
+    if (def) return def.type || PropertyType.TEXT;
+    if (path && /_date$/.test(prop)) return PropertyType.DATE;
+    return PropertyType.TEXT;
+  }
+
+  // validateValue(prop, value) → {ok, value (normalised), type, reason}
+  function validateValue(property, value) {
+    const type = getPropertyType(property);
+    const path = parseListPath(property);
+    const def  = getPropertyDefinition(path ? path.field : property) || {};
+    const v    = String(value ?? "").trim();
+    const spec = TYPE_DEFINITIONS[type];
+    if (!v || !spec.validate(v, def)) return { ok: false, value: v, type, reason: `invalid_${type}` };
+    return { ok: true, value: spec.normalize(v, def), type, reason: "" };
+  }
+
+  // First structured type a stray value fits, e.g. a phone typed into the
+  // email box → "phone"; null when it only passes as free text.
+  function detectValueType(value) {
+    const v = String(value ?? "").trim();
+    for (const type of [PropertyType.EMAIL, PropertyType.URL, PropertyType.PHONE, PropertyType.DATE]) {
+      if (v && TYPE_DEFINITIONS[type].validate(v, {})) return type;
+    }
+    return null;
+  }
+
+  function _digitCount(s) {
+    return String(s).replace(/\D/g, "").length;
+  }
+
+  // ENUM option matching ignores case and spacing; "positive"/"negative"
+  // read as "+"/"-" (so "O positive" → "O+")
+  function _enumOption(v, def) {
+    const key = s => String(s).toLowerCase().replace(/\s*(positive|pos|\+ve)\b/g, "+")
+      .replace(/\s*(negative|neg|-ve)\b/g, "-").replace(/\s+/g, "");
+    return (def.options || []).find(o => key(o) === key(v)) || null;
+  }
+
   const api = Object.freeze({
-    Sensitivity, FillStatus, Route, FeedbackAction, EntityType, RelationType,
+    Sensitivity, SENSITIVITY_RANK, FillStatus, Route, FeedbackAction, EntityType, RelationType,
+    SELF, SUBJECT_DEFINITIONS,
     LAYER_DEFINITIONS, PROPERTY_DEFINITIONS, DOMAIN_PROPERTIES,
-    COMPOSITE_DEFINITIONS, IMAGE_CATEGORIES, DOMAIN_MAX_SENSITIVITY, PROP_LAYER,
-    getLayerForProperty, getSensitivityForProperty
+    COMPOSITE_DEFINITIONS, LIST_DEFINITIONS, IMAGE_CATEGORIES, AUTOCOMPLETE_TOKENS,
+    AUTOCOMPLETE_WORK, DOMAIN_MAX_SENSITIVITY, PROP_LAYER,
+    PropertyType, TYPE_DEFINITIONS,
+    getLayerForProperty, getSensitivityForProperty, listPath, parseListPath, listFieldAliases,
+    getPropertyType, validateValue, detectValueType,
+    CUSTOM_LAYER, defineLayer, removeLayer, defineProperty, removeProperty, isCustomProperty,
+    customProperties, customLayers, propertyDefinitions, layerDefinitions, getPropertyDefinition,
+    serializeCustom, loadCustom
   });
 
   root.AutoFillGraphV5Schema = api;
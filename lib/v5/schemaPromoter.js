@@ -0,0 +1,179 @@
+(function initAutoFillGraphV5SchemaPromoter(root) {
+  "use strict";
+
+  const Schema = root.AutoFillGraphV5Schema;
+  const Utils  = root.AutoFillGraphV5Utils;
+
+  if (!Schema || !Utils) throw new Error("Load schema.js and utils.js before schemaPromoter.js");
+
+  // ── SchemaPromoter ────────────────────────────────────────────────────────
+  // learn() stores labels it cannot map under Utils.canonicalId(label), e.g.
+  // "what_is_your_preferred_pronoun".  These orphan keys have no schema
+  // entry, so they never generalise.  propose() clusters them and suggests
+  // what each cluster should become:
+  //   merge  — an existing (built-in or custom) property it duplicates
+  //   create — a new custom property (Schema.defineProperty)
+  // Similarity = ½ label embedding (question filler stripped) + ½ values:
+  //   1   same normalised value
+  //   0.5 same structured value type (email, phone, date, url)
+  // The value term only counts once the labels are at least LABEL_FLOOR
+  // alike, and yes/no or very short answers (< MIN_VALUE_LENGTH chars) earn
+  // no value credit — "over 18" and "willing to relocate" both saying "Yes"
+  // says nothing about the questions.  Orphans join a cluster at ≥ CLUSTER_THRESHOLD (single link); a cluster
+  // merges into a property at ≥ MERGE_THRESHOLD when every value passes the
+  // target's type.  Dismissed orphans are not proposed again.
+
+  const CLUSTER_THRESHOLD = 0.5;
+  const MERGE_THRESHOLD   = 0.5;
+  const LABEL_FLOOR       = 0.6;
+  const MIN_VALUE_LENGTH  = 4;
+
+  const YES_NO = new Set(["yes", "y", "no", "n", "true", "false", "on", "off", "none", "n a", "na"]);
+
+  const FILLER = new Set([
+    "what", "whats", "is", "are", "your", "you", "the", "a", "an", "of", "please",
+    "enter", "provide", "specify", "do", "have", "any", "if", "applicable", "optional"
+  ]);
+
+  class SchemaPromoter {
+    constructor(data = {}) {
+      this._dismissed = new Set(data.dismissed || []);
+    }
+
+    // Keys in the KG with no schema definition (list paths excluded)
+    orphans(kg) {
+      return kg.propertyKeys().filter(p =>
+        !Schema.getPropertyDefinition(p) && !Schema.parseListPath(p) && !this._dismissed.has(p));
+    }
+
+    // propose(kg, mapper) → [{id, members, labels, values, action, target|name, type, score}]
+    propose(kg, mapper) {
+      const items = this.orphans(kg).map(prop => {
+        const labels = Utils.unique([_words(prop), ...(mapper.learnedMappings[prop] || [])]);
+        const values = _values(kg, prop);
+        return { prop, labels, values, vec: Utils.embed(labels.map(_strip).join(" ")) };
+      });
+
+      // Single-link clustering
+      const parent = items.map((_, i) => i);
+      const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+      for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+          if (_similarity(items[i], items[j]) >= CLUSTER_THRESHOLD) parent[find(j)] = find(i);
+        }
+      }
+      const clusters = new Map();
+      items.forEach((item, i) => {
+        const c = find(i);
+        if (!clusters.has(c)) clusters.set(c, []);
+        clusters.get(c).push(item);
+      });
+
+      const defined = Object.keys(Schema.propertyDefinitions());
+      const current = kg.current(Schema.Sensitivity.ENCRYPTED);
+      return [...clusters.values()].map(group => {
+        const members = group.map(g => g.prop).sort();
+        const labels  = Utils.unique(group.flatMap(g => g.labels));
+        const values  = Utils.unique(group.flatMap(g => g.values));
+        const centre  = { vec: _centroid(group.map(g => g.vec)), values };
+        const base    = { id: members.join("+"), members, labels, values };
+
+        let best = null, bestS = 0;
+        for (const prop of defined) {
+          if (!values.every(v => Schema.validateValue(prop, v).ok)) continue;
+          const target = { vec: mapper._propVecs.get(prop), values: current[prop] !== undefined ? [String(current[prop])] : [] };
+          if (!target.vec) continue;
+          const s = _similarity(centre, target, Schema.getPropertyType(prop));
+          if (s > bestS) { best = prop; bestS = s; }
+        }
+        if (best && bestS >= MERGE_THRESHOLD) {
+          return { ...base, action: "merge", target: best, type: Schema.getPropertyType(best), score: _round(bestS) };
+        }
+        return { ...base, action: "create", name: _suggestName(labels), type: _typeOf(values), score: _round(bestS) };
+      });
+    }
+
+    dismiss(members = []) {
+      for (const m of members) this._dismissed.add(m);
+    }
+
+    dismissed() { return [...this._dismissed]; }
+
+    serialize() { return { dismissed: [...this._dismissed] }; }
+
+    static deserialize(data = {}) { return new SchemaPromoter(data); }
+  }
+
+  // ── Similarity ─────────────────────────────────────────────────────────────
+
+  function _similarity(a, b, bType = null) {
+    const emb = a.vec && b.vec ? Math.max(0, Utils.cosineSimilarity(a.vec, b.vec)) : 0;
+    if (emb < LABEL_FLOOR) return 0.5 * emb;
+    return 0.5 * emb + 0.5 * _valueSimilarity(a.values, b.values, bType);
+  }
+
+  function _valueSimilarity(as, bs, bType = null) {
+    as = as.filter(_informative);
+    bs = bs.filter(_informative);
+    if (!as.length || !bs.length) return 0;
+    const norm = new Set(bs.map(v => Utils.normalizeText(v)));
+    if (as.some(v => norm.has(Utils.normalizeText(v)))) return 1;
+    const ta = _typeOf(as);
+    const tb = bType || _typeOf(bs);
+    return ta !== Schema.PropertyType.TEXT && ta === tb ? 0.5 : 0;
+  }
+
+  // Yes/no and very short answers are shared by unrelated questions
+  function _informative(value) {
+    const v = Utils.normalizeText(value);
+    return v.length >= MIN_VALUE_LENGTH && !YES_NO.has(v);
+  }
+
+  // Shared structured type of a set of values; TEXT when mixed or free text
+  function _typeOf(values) {
+    const types = Utils.unique(values.map(v => Schema.detectValueType(v) || Schema.PropertyType.TEXT));
+    return types.length === 1 ? types[0] : Schema.PropertyType.TEXT;
+  }
+
+  function _centroid(vecs) {
+    if (vecs.length === 1) return vecs[0];
+    return vecs[0].map((_, i) => vecs.reduce((s, v) => s + v[i], 0) / vecs.length);
+  }
+
+  // ── Naming ─────────────────────────────────────────────────────────────────
+
+  // "what is your preferred pronoun" → "preferred pronoun"
+  function _strip(label) {
+    const words = Utils.normalizeText(label).split(" ").filter(w => w && !FILLER.has(w));
+    return words.join(" ") || Utils.normalizeText(label);
+  }
+
+  // Shortest stripped label, as a property key
+  function _suggestName(labels) {
+    const names = labels.map(_strip).filter(Boolean).sort((a, b) => a.length - b.length);
+    return Utils.canonicalId(names[0] || labels[0] || "custom");
+  }
+
+  function _words(prop) {
+    return prop.replace(/_/g, " ");
+  }
+
+  // Every value the property has held (current first)
+  function _values(kg, prop) {
+    const vals = [
+      ...kg.history(prop),
+      ...kg.subjects().flatMap(s => kg.history(prop, s))
+    ].filter(a => a.value !== null && a.value !== undefined)
+      .sort((a, b) => Number(b.is_current()) - Number(a.is_current()));
+    return Utils.unique(vals.map(a => String(a.value)));
+  }
+
+  function _round(x) {
+    return Math.round(x * 1000) / 1000;
+  }
+
+  const api = Object.freeze({ SchemaPromoter, CLUSTER_THRESHOLD, MERGE_THRESHOLD, LABEL_FLOOR });
+
+  root.AutoFillGraphV5SchemaPromoter = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
@@ -10,6 +10,24 @@
   // JS-native directed graph (adjacency list) mirroring Prototype5's NetworkX
   // TemporalKG.  Each property node stores an AttributeValue list for temporal
   // versioning; organisation/location nodes carry relation edges.
+  //
+  // RESTRICTED / ENCRYPTED attribute values are sealed with a Vault envelope
+  // at rest: a sealed attr carries `sealed: {v, iv, ct}` and `value: null`
+  // and is invisible to current() until unseal() runs with an unlocked vault.
+  //
+  // Lists (Schema.LIST_DEFINITIONS — education, employment, …) hold ordered
+  // items beside the single-valued attributes.  Items are versioned the same
+  // way: an update expires the old item and appends a new one at the same
+  // `order`.
+  //
+  // Subjects (Schema.SUBJECT_DEFINITIONS) other than "self" are person nodes
+  // ("person:spouse") with their own attribute timelines; the relation edge
+  // runs from the user node.  Methods that read or write attributes take an
+  // optional trailing `subject` (default self).
+  //
+  // Persona overlays ("work", "personal") hold per-property overrides of the
+  // user's own values; current(maxSens, self, persona) reads base values with
+  // the overlay on top.
 
   class TemporalKG {
     constructor(data = {}) {
@@ -21,6 +39,12 @@
       this._attrs = new Map();
       // retractions: Set<"prop:rule">
       this._retractions = new Set();
+      // lists: Map<list, ListItem[]>  ({id, order, fields, valid_from, valid_until, source, confidence})
+      this._lists = new Map();
+      // subjects: Map<subject, Map<prop, AttributeValue[]>>  (self lives in _attrs)
+      this._subjects = new Map();
+      // overlays: Map<persona, Map<prop, AttributeValue[]>>
+      this._overlays = new Map();
 
       // Root "user" node
       this._nodes.set("user", { type: Schema.EntityType.PERSON, label: "User" });
@@ -37,22 +61,76 @@
       if (data.retractions) {
         for (const r of data.retractions) this._retractions.add(r);
       }
+      for (const [subject, attrs] of data.subjects || []) this._subjects.set(subject, _attrMap(attrs));
+      for (const [persona, attrs] of data.overlays || []) this._overlays.set(persona, _attrMap(attrs));
+      if (data.lists) {
+        for (const [list, items] of data.lists) {
+          this._lists.set(list, items.map(i => Object.assign(Object.create(_AttrProto), i)));
+        }
+      }
+    }
+
+    // ── Subjects ──────────────────────────────────────────────────────────────
+
+    // Attribute map for a subject (created on demand when `create`)
+    _attrsOf(subject = Schema.SELF, create = false) {
+      if (!subject || subject === Schema.SELF) return this._attrs;
+      if (!this._subjects.has(subject)) {
+        if (!create) return new Map();
+        this.addSubject(subject);
+      }
+      return this._subjects.get(subject);
+    }
+
+    // Person node + relation edge from the user; idempotent
+    addSubject(subject) {
+      const def = Schema.SUBJECT_DEFINITIONS[subject];
+      if (!def || subject === Schema.SELF) throw new Error(`Unknown subject: ${subject}`);
+      if (this._subjects.has(subject)) return;
+      this._subjects.set(subject, new Map());
+      this._nodes.set(`person:${subject}`, { type: Schema.EntityType.PERSON, label: def.label });
+      this._edges.push({
+        from: "user", to: `person:${subject}`, relation: def.relation,
+        valid_from: Utils.nowIso(), valid_until: null
+      });
+    }
+
+    // Subjects other than self that hold at least one current value
+    subjects() {
+      return [...this._subjects.entries()]
+        .filter(([, attrs]) => [...attrs.values()].some(vals => vals.some(a => a.is_current())))
+        .map(([subject]) => subject);
     }
 
     // ── Store a property value with temporal validity ─────────────────────────
-    store(prop, value, source = "user", confidence = 1.0, expirePrevious = true) {
-      if (!this._attrs.has(prop)) this._attrs.set(prop, []);
-      const list = this._attrs.get(prop);
+    // Values are checked against the property's Schema type first: a value
+    // that fails (a phone number for `email`, "soon" for a date) is rejected
+    // and store() returns null; a valid one is stored normalised.
+    store(prop, value, source = "user", confidence = 1.0, expirePrevious = true, subject = Schema.SELF) {
+      const from = subject && subject !== Schema.SELF ? `person:${subject}` : "user";
+      return this._storeIn(this._attrsOf(subject, true), from, prop, value, source, confidence, expirePrevious);
+    }
 
+    _storeIn(attrs, from, prop, value, source, confidence, expirePrevious) {
+      const check = Schema.validateValue(prop, value);
+      if (!check.ok) return null;
+      value = check.value;
+      if (!attrs.has(prop)) attrs.set(prop, []);
+      const list = attrs.get(prop);
+
+      // A sealed predecessor cannot be compared while the vault is locked: it
+      // stays current until unseal() settles it against the new value.
+      const sealed = [];
       if (expirePrevious) {
         for (const a of list) {
-          if (a.is_current() && String(a.value) !== String(value)) {
-            a.valid_until = Utils.nowIso();
-          }
+          if (!a.is_current()) continue;
+          if (a.sealed) sealed.push(a);
+          else if (String(a.value) !== String(value)) a.valid_until = Utils.nowIso();
         }
       }
 
       const attr = _makeAttr(prop, value, source, confidence);
+      if (sealed.length) _pendingSupersede.set(attr, sealed);
       list.push(attr);
 
       // Mirror to graph
@@ -60,11 +138,11 @@
       if (!this._nodes.has(nodeId)) {
         this._nodes.set(nodeId, {
           type: "Property", label: prop,
-          layer: Schema.PROP_LAYER[prop] || "general"
+          layer: Schema.getLayerForProperty(prop)
         });
       }
       this._edges.push({
-        from: "user", to: nodeId, prop, value: String(value),
+        from, to: nodeId, prop, value: String(value),
         valid_from: attr.valid_from, valid_until: null,
         confidence, source
       });
@@ -82,31 +160,161 @@
       });
     }
 
-    // ── Current snapshot filtered by sensitivity ──────────────────────────────
-    current(maxSens = Schema.Sensitivity.PUBLIC) {
-      const rank = {
-        [Schema.Sensitivity.PUBLIC]: 0,
-        [Schema.Sensitivity.RESTRICTED]: 1,
-        [Schema.Sensitivity.ENCRYPTED]: 2
-      };
+    // ── List items (repeating sections) ───────────────────────────────────────
+
+    // Current items of a list, in order
+    listItems(list) {
+      return (this._lists.get(list) || [])
+        .filter(i => i.is_current())
+        .sort((a, b) => a.order - b.order);
+    }
+
+    // Merge `fields` into item `index` (creating it, and any gap, if needed);
+    // sub-field values that fail their Schema type are dropped
+    upsertListItem(list, index, fields, source = "user", confidence = 1.0) {
+      if (!Schema.LIST_DEFINITIONS[list]) throw new Error(`Unknown list: ${list}`);
+      if (!this._lists.has(list)) this._lists.set(list, []);
+      const all  = this._lists.get(list);
+      const prev = all.find(i => i.is_current() && i.order === index);
+
+      const merged = { ...(prev ? prev.fields : {}) };
+      for (const [k, v] of Object.entries(fields || {})) {
+        if (v === null || v === undefined || v === "") continue;
+        const check = Schema.validateValue(Schema.listPath(list, index, k), v);
+        if (check.ok) merged[k] = check.value;
+      }
+      if (prev) {
+        if (Object.entries(merged).every(([k, v]) => String(prev.fields[k]) === String(v))) return prev;
+        prev.valid_until = Utils.nowIso();
+      }
+      for (let o = this.listItems(list).length; o < index; o++) this._pushItem(list, o, {}, source, confidence);
+      const item = this._pushItem(list, index, merged, source, confidence);
+      this._edges.push({
+        from: "user", to: `list:${list}`, relation: `HAS_${list.toUpperCase()}`,
+        item: item.id, valid_from: item.valid_from, valid_until: null
+      });
+      return item;
+    }
+
+    // Expire item `index`; later items move up one place
+    removeListItem(list, index) {
+      const items = this.listItems(list);
+      if (!items[index]) return false;
+      items[index].valid_until = Utils.nowIso();
+      for (const i of items.slice(index + 1)) i.order--;
+      return true;
+    }
+
+    // {list: [fields, …]} for every non-empty list
+    lists() {
       const out = {};
-      for (const [prop, vals] of this._attrs.entries()) {
-        const sens = Schema.getSensitivityForProperty(prop);
-        if (rank[sens] > rank[maxSens]) continue;
-        const active = vals.filter(a => a.is_current());
-        if (active.length) {
-          // pick most-recently-created active value
-          const latest = active.sort(
-            (a, b) => new Date(b.valid_from) - new Date(a.valid_from)
-          )[0];
-          out[prop] = latest.value;
-        }
+      for (const list of this._lists.keys()) {
+        const items = this.listItems(list);
+        if (items.length) out[list] = items.map(i => ({ ...i.fields }));
+      }
+      return out;
+    }
+
+    _pushItem(list, order, fields, source, confidence) {
+      const item = Object.assign(Object.create(_AttrProto), {
+        id: Utils.createId(list), order, fields,
+        valid_from: Utils.nowIso(), valid_until: null,
+        source, confidence: Number(confidence)
+      });
+      this._lists.get(list).push(item);
+      if (!this._nodes.has(`list:${list}`)) {
+        this._nodes.set(`list:${list}`, { type: "List", label: list });
+      }
+      return item;
+    }
+
+    // ── Current snapshot filtered by sensitivity ──────────────────────────────
+    current(maxSens = Schema.Sensitivity.PUBLIC, subject = Schema.SELF, persona = null) {
+      const out = _snapshot(this._attrsOf(subject), maxSens);
+      if (persona && (!subject || subject === Schema.SELF)) {
+        Object.assign(out, this.overlay(persona, maxSens));
       }
       return out;
     }
 
+    // ── Persona overlays ──────────────────────────────────────────────────────
+
+    storeOverlay(persona, prop, value, source = "user", confidence = 1.0) {
+      if (!this._overlays.has(persona)) this._overlays.set(persona, new Map());
+      const nodeId = `persona:${persona}`;
+      if (!this._nodes.has(nodeId)) {
+        this._nodes.set(nodeId, { type: "Persona", label: persona });
+        this._edges.push({
+          from: "user", to: nodeId, relation: "HAS_PERSONA",
+          valid_from: Utils.nowIso(), valid_until: null
+        });
+      }
+      return this._storeIn(this._overlays.get(persona), nodeId, prop, value, source, confidence, true);
+    }
+
+    // Current overrides of one persona only
+    overlay(persona, maxSens = Schema.Sensitivity.PUBLIC) {
+      return _snapshot(this._overlays.get(persona) || new Map(), maxSens);
+    }
+
+    overlayHistory(persona, prop) {
+      return this._overlays.get(persona)?.get(prop) || [];
+    }
+
+    dropOverlay(persona) {
+      this._nodes.delete(`persona:${persona}`);
+      this._edges = this._edges.filter(e => e.from !== `persona:${persona}` && e.to !== `persona:${persona}`);
+      return this._overlays.delete(persona);
+    }
+
     // ── Full temporal history for a property ──────────────────────────────────
-    history(prop) { return this._attrs.get(prop) || []; }
+    history(prop, subject = Schema.SELF) { return this._attrsOf(subject).get(prop) || []; }
+
+    // ── Property keys / renaming ──────────────────────────────────────────────
+
+    // Every property holding a current value for any subject or persona
+    propertyKeys(includeExpired = false) {
+      const out = new Set();
+      for (const [prop, vals] of this._allAttrs()) {
+        if (vals.length && (includeExpired || vals.some(a => a.is_current()))) out.add(prop);
+      }
+      return [...out];
+    }
+
+    // Move a property's timelines (every subject and persona) under another
+    // key, e.g. when an ad-hoc property is promoted into the schema.  Values
+    // are re-normalised for the target's type; when both keys hold a current
+    // value, the newer one stays current.  Returns the number of values moved.
+    renameProperty(from, to) {
+      if (!from || !to || from === to) return 0;
+      let n = 0;
+      const maps = [this._attrs, ...this._subjects.values(), ...this._overlays.values()];
+      for (const attrs of maps) {
+        const moved = attrs.get(from);
+        if (!moved) continue;
+        attrs.delete(from);
+        for (const a of moved) {
+          a.prop = to;
+          const check = Schema.validateValue(to, a.value);
+          if (check.ok) a.value = check.value;
+        }
+        const merged = [...(attrs.get(to) || []), ...moved];
+        const current = merged.filter(a => a.is_current())
+          .sort((a, b) => new Date(b.valid_from) - new Date(a.valid_from));
+        for (const a of current.slice(1)) {
+          if (String(a.value) !== String(current[0].value)) a.valid_until = Utils.nowIso();
+        }
+        attrs.set(to, merged);
+        n += moved.length;
+      }
+      for (const edge of this._edges) {
+        if (edge.prop === from) { edge.prop = to; edge.to = `prop:${to}`; }
+      }
+      if (this._nodes.delete(`prop:${from}`) && !this._nodes.has(`prop:${to}`)) {
+        this._nodes.set(`prop:${to}`, { type: "Property", label: to, layer: Schema.getLayerForProperty(to) });
+      }
+      return n;
+    }
 
     // ── Check if domain has any user-provided data ────────────────────────────
     hasDomainData(domain) {
@@ -122,6 +330,18 @@
       for (const [prop, val] of Object.entries(cur)) {
         out.push(`User ${prop.replace(/_/g, " ")} is ${val}`);
       }
+      for (const subject of this.subjects()) {
+        const who = Schema.SUBJECT_DEFINITIONS[subject]?.label.toLowerCase() || subject;
+        for (const [prop, val] of Object.entries(this.current(maxSens, subject))) {
+          out.push(`User's ${who} ${prop.replace(/_/g, " ")} is ${val}`);
+        }
+      }
+      for (const [list, items] of Object.entries(this.lists())) {
+        items.forEach((fields, i) => {
+          const parts = Object.entries(fields).map(([k, v]) => `${k.replace(/_/g, " ")} ${v}`);
+          if (parts.length) out.push(`User ${list} #${i + 1}: ${parts.join(", ")}`);
+        });
+      }
       for (const edge of this._edges) {
         if (edge.relation && this._nodes.has(edge.to)) {
           const node = this._nodes.get(edge.to);
@@ -141,23 +361,199 @@
         edges: this._edges.length,
         current_facts: Object.keys(this.current(Schema.Sensitivity.ENCRYPTED)).length,
         total_records: [...this._attrs.values()].reduce((s, v) => s + v.length, 0),
-        retractions: this._retractions.size
+        retractions: this._retractions.size,
+        subjects: this.subjects().length,
+        list_items: [...this._lists.keys()].reduce((s, l) => s + this.listItems(l).length, 0)
       };
     }
 
+    // ── Seal / unseal sensitive values in memory ──────────────────────────────
+    // seal() runs before the vault is locked; unseal() right after unlock.
+    async seal(vault) {
+      let n = 0;
+      for (const [prop, vals] of this._allAttrs()) {
+        if (!_isSensitive(prop)) continue;
+        for (const a of vals) {
+          if (a.sealed || a.value === null || a.value === undefined) continue;
+          a.sealed = await vault.encrypt(a.value);
+          a.value  = null;
+          n++;
+        }
+      }
+      for (const edge of this._edges) {
+        if (edge.prop && _isSensitive(edge.prop)) edge.value = null;
+      }
+      return n;
+    }
+
+    async unseal(vault) {
+      let n = 0;
+      for (const [, vals] of this._allAttrs()) {
+        for (const a of vals) {
+          if (!a.sealed) continue;
+          a.value = await vault.decrypt(a.sealed);
+          delete a.sealed;
+          n++;
+        }
+      }
+      this._settleSuperseded();
+      this._restoreEdgeValues();
+      return n;
+    }
+
+    // Values stored while their sealed predecessor was locked away: an equal
+    // value was a re-learn and is dropped (with its edge), a different one
+    // now expires the predecessor.
+    _settleSuperseded() {
+      for (const [from, attrs] of this._attrSources()) {
+        for (const [prop, vals] of attrs.entries()) {
+          for (const a of [...vals]) {
+            const prev = _pendingSupersede.get(a);
+            if (!prev) continue;
+            _pendingSupersede.delete(a);
+            const same = prev.find(p => !p.sealed && p.is_current() && String(p.value) === String(a.value));
+            if (same) {
+              vals.splice(vals.indexOf(a), 1);
+              // Its edge is the newest one mirroring this timestamp
+              const i = this._edges.findLastIndex(e =>
+                e.from === from && e.prop === prop && e.valid_from === a.valid_from);
+              if (i >= 0) this._edges.splice(i, 1);
+              continue;
+            }
+            for (const p of prev) if (!p.sealed && p.is_current()) p.valid_until = a.valid_from;
+          }
+        }
+      }
+    }
+
+    // seal() and serialize() null sensitive edge values; refill them from the
+    // (now unsealed) attribute each edge mirrors — same source node, property
+    // and valid_from, paired in order when timestamps coincide.
+    _restoreEdgeValues() {
+      const byKey = new Map();
+      for (const [from, attrs] of this._attrSources()) {
+        for (const [prop, vals] of attrs.entries()) {
+          for (const a of vals) {
+            const key = `${from}|${prop}|${a.valid_from}`;
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(a.sealed || a.value === null || a.value === undefined ? null : String(a.value));
+          }
+        }
+      }
+      for (const edge of this._edges) {
+        if (!edge.prop) continue;
+        const value = byKey.get(`${edge.from}|${edge.prop}|${edge.valid_from}`)?.shift();
+        if (edge.value === null && value !== undefined && value !== null) edge.value = value;
+      }
+    }
+
+    // Values stored while their sealed predecessor was locked away: an equal
+    // value was a re-learn and is dropped (with its edge), a different one
+    // now expires the predecessor.
+    _settleSuperseded() {
+      for (const [from, attrs] of this._attrSources()) {
+        for (const [prop, vals] of attrs.entries()) {
+          for (const a of [...vals]) {
+            const prev = _pendingSupersede.get(a);
+            if (!prev) continue;
+            _pendingSupersede.delete(a);
+            const same = prev.find(p => !p.sealed && p.is_current() && String(p.value) === String(a.value));
+            if (same) {
+              vals.splice(vals.indexOf(a), 1);
+              // Its edge is the newest one mirroring this timestamp
+              const i = this._edges.findLastIndex(e =>
+                e.from === from && e.prop === prop && e.valid_from === a.valid_from);
+              if (i >= 0) this._edges.splice(i, 1);
+              continue;
+            }
+            for (const p of prev) if (!p.sealed && p.is_current()) p.valid_until = a.valid_from;
+          }
+        }
+      }
+    }
+
+    // seal() and serialize() null sensitive edge values; refill them from the
+    // (now unsealed) attribute each edge mirrors — same source node, property
+    // and valid_from.
+    _restoreEdgeValues() {
+      const byKey = new Map();
+      for (const [from, attrs] of this._attrSources()) {
+        for (const [prop, vals] of attrs.entries()) {
+          for (const a of vals) {
+            if (!a.sealed && a.value !== null && a.value !== undefined) {
+              byKey.set(`${from}|${prop}|${a.valid_from}`, String(a.value));
+            }
+          }
+        }
+      }
+      for (const edge of this._edges) {
+        if (!edge.prop || edge.value !== null) continue;
+        const value = byKey.get(`${edge.from}|${edge.prop}|${edge.valid_from}`);
+        if (value !== undefined) edge.value = value;
+      }
+    }
+
+    // Every unsealed RESTRICTED / ENCRYPTED value still in memory (current or
+    // expired, any subject or persona) → [{prop, value}]; used for redaction.
+    sensitiveValues() {
+      const out = [];
+      for (const [prop, vals] of this._allAttrs()) {
+        if (!_isSensitive(prop)) continue;
+        for (const a of vals) {
+          if (a.sealed || a.value === null || a.value === undefined) continue;
+          out.push({ prop, value: String(a.value) });
+        }
+      }
+      return out;
+    }
+
+    // [prop, AttributeValue[]] pairs across self and every other subject
+    *_allAttrs() {
+      for (const [, attrs] of this._attrSources()) yield* attrs.entries();
+    }
+
+    // [graph node the edges run from, attribute map] per subject and persona
+    *_attrSources() {
+      yield ["user", this._attrs];
+      for (const [subject, attrs] of this._subjects.entries()) yield [`person:${subject}`, attrs];
+      for (const [persona, attrs] of this._overlays.entries()) yield [`persona:${persona}`, attrs];
+    }
+
     // ── Serialise / deserialise ───────────────────────────────────────────────
-    serialize() {
+    // With a configured vault, sensitive values are written only as envelopes.
+    // Plaintext sensitive values learned while the vault is locked cannot be
+    // sealed, so they stay in memory and are persisted after the next unlock;
+    // the sealed values they replace stay current until then (see _storeIn),
+    // so a worker restart falls back to the old value instead of to none.
+    async serialize(vault = null) {
+      const guarded = Boolean(vault && vault.isConfigured());
+      const attrs   = await _serializeAttrs(this._attrs, vault, guarded);
+      const subjects = [];
+      for (const [subject, m] of this._subjects.entries()) {
+        subjects.push([subject, await _serializeAttrs(m, vault, guarded)]);
+      }
+      const overlays = [];
+      for (const [persona, m] of this._overlays.entries()) {
+        overlays.push([persona, await _serializeAttrs(m, vault, guarded)]);
+      }
+
+      const edges = guarded
+        ? this._edges.map(e => (e.prop && _isSensitive(e.prop) ? { ...e, value: null } : e))
+        : this._edges;
+
       return {
         nodes: Array.from(this._nodes.entries()),
-        edges: this._edges,
-        attrs: Array.from(this._attrs.entries()).map(
-          ([prop, vals]) => [prop, vals.map(a => ({
-            prop: a.prop, value: a.value, valid_from: a.valid_from,
-            valid_until: a.valid_until, confidence: a.confidence,
-            source: a.source, sensitivity: a.sensitivity
-          }))]
-        ),
-        retractions: Array.from(this._retractions)
+        edges,
+        attrs,
+        subjects,
+        overlays,
+        retractions: Array.from(this._retractions),
+        lists: Array.from(this._lists.entries()).map(([list, items]) => [
+          list, items.map(i => ({
+            id: i.id, order: i.order, fields: i.fields, valid_from: i.valid_from,
+            valid_until: i.valid_until, source: i.source, confidence: i.confidence
+          }))
+        ])
       };
     }
 
@@ -174,6 +570,67 @@
     }
   };
 
+  function _attrMap(entries) {
+    const m = new Map();
+    for (const [prop, vals] of entries) {
+      m.set(prop, vals.map(v => Object.assign(Object.create(_AttrProto), v)));
+    }
+    return m;
+  }
+
+  // {prop: latest current unsealed value} within the sensitivity cap
+  function _snapshot(attrMap, maxSens) {
+    const rank = Schema.SENSITIVITY_RANK;
+    const out = {};
+    for (const [prop, vals] of attrMap.entries()) {
+      const sens = Schema.getSensitivityForProperty(prop);
+      if (rank[sens] > rank[maxSens]) continue;
+      const active = vals.filter(a => a.is_current() && !a.sealed);
+      if (active.length) {
+        // pick most-recently-created active value
+        const latest = active.sort(
+          (a, b) => new Date(b.valid_from) - new Date(a.valid_from)
+        )[0];
+        out[prop] = latest.value;
+      }
+    }
+    return out;
+  }
+
+  async function _serializeAttrs(attrMap, vault, guarded) {
+    const canSeal = guarded && vault.isUnlocked();
+    const attrs   = [];
+    for (const [prop, vals] of attrMap.entries()) {
+      const sensitive = _isSensitive(prop);
+      const out = [];
+      for (const a of vals) {
+        const rec = {
+          prop: a.prop, value: a.value, valid_from: a.valid_from,
+          valid_until: a.valid_until, confidence: a.confidence,
+          source: a.source, sensitivity: a.sensitivity
+        };
+        if (a.sealed) {
+          rec.value  = null;
+          rec.sealed = a.sealed;
+        } else if (sensitive && guarded) {
+          if (!canSeal) continue;
+          rec.value  = null;
+          rec.sealed = await vault.encrypt(a.value);
+        }
+        out.push(rec);
+      }
+      attrs.push([prop, out]);
+    }
+    return attrs;
+  }
+
+  // Attr → sealed current values it replaces once unsealed (in memory only)
+  const _pendingSupersede = new WeakMap();
+
+  function _isSensitive(prop) {
+    return Schema.getSensitivityForProperty(prop) !== Schema.Sensitivity.PUBLIC;
+  }
+
   function _makeAttr(prop, value, source, confidence) {
     return Object.assign(Object.create(_AttrProto), {
       prop,
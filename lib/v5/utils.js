@@ -7,7 +7,24 @@
     return new Date().toISOString();
   }
 
+  // Unicode-aware: NFKC folds full-width forms ("ＴＥＬ" → "tel"); letters,
+  // combining marks and digits of any script survive, so umlauts, accents,
+  // Devanagari and CJK labels are not torn apart.
   function normalizeText(value) {
+    return String(value || "")
+      .normalize("NFKC")
+      .toLowerCase()
+      .replace(/[_-]+/g, " ")
+      .replace(/[^\p{L}\p{M}\p{N}\s@.+/\-]/gu, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  // The pre-Unicode normalisation (ASCII \w only: "Prénom" → "pr nom").
+  // Ad-hoc property ids, learned and site mapping labels and persona names
+  // stored before the switch were keyed with it; lookups fall back to it so
+  // existing graphs keep matching.
+  function legacyNormalizeText(value) {
     return String(value || "")
       .toLowerCase()
       .replace(/[_-]+/g, " ")
@@ -16,10 +33,39 @@
       .trim();
   }
 
+  // Latin diacritics dropped, ß → ss ("Straße" → "strasse", "prénom" → "prenom")
+  function foldDiacritics(value) {
+    return String(value || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/ß/g, "ss")
+      .normalize("NFC");
+  }
+
+  // Pack language implied by a label's script, for untagged pages:
+  // kana → ["ja"], Han → ["zh", "ja"], Devanagari → ["hi"], otherwise []
+  function scriptLanguages(value) {
+    const s = String(value || "");
+    if (/[\u3040-\u30ff]/.test(s)) return ["ja"];
+    if (/\p{Script=Han}/u.test(s)) return ["zh", "ja"];
+    if (/\p{Script=Devanagari}/u.test(s)) return ["hi"];
+    return [];
+  }
+
+  // CJK words are one or two characters; Latin aliases need more to be
+  // meaningful substrings
+  function isWideScript(value) {
+    return /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(String(value || ""));
+  }
+
   function canonicalId(value) {
     return normalizeText(value).replace(/\s+/g, "_").replace(/^_+|_+$/g, "");
   }
 
+  function legacyCanonicalId(value) {
+    return legacyNormalizeText(value).replace(/\s+/g, "_").replace(/^_+|_+$/g, "");
+  }
+
   function clamp(value, min, max) {
     return Math.max(min, Math.min(max, Number(value)));
   }
@@ -162,7 +208,8 @@
   }
 
   const api = Object.freeze({
-    nowIso, normalizeText, canonicalId, clamp, createId, safeParseJson,
+    nowIso, normalizeText, legacyNormalizeText, foldDiacritics, scriptLanguages, isWideScript,
+    canonicalId, legacyCanonicalId, clamp, createId, safeParseJson,
     ocrNorm, dot, norm, cosineSimilarity, vecAdd, vecScale, outerProduct,
     matrixIdentity, matrixAdd, matrixVecMul, solveLinearSystem,
     embed, EMBED_DIM, latestByValidFrom, unique
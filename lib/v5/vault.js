@@ -0,0 +1,133 @@
+(function initAutoFillGraphV5Vault(root) {
+  "use strict";
+
+  // ── Vault ─────────────────────────────────────────────────────────────────
+  // WebCrypto envelope for RESTRICTED / ENCRYPTED attribute values:
+  //   key      = PBKDF2(passphrase, salt, SHA-256, iterations) → AES-GCM 256
+  //   envelope = { v, iv, ct }   (base64, fresh 96-bit IV per value)
+  //   verifier = envelope of VERIFIER_TEXT, used to reject a wrong passphrase
+  //
+  // Only salt, iteration count and verifier are persisted; the derived key
+  // lives in memory while the vault is unlocked and is dropped by lock().
+
+  const PBKDF2_ITERATIONS = 310000;
+  const ENVELOPE_VERSION  = 1;
+  const VERIFIER_TEXT     = "afg-v5-vault";
+
+  class Vault {
+    constructor(data = {}) {
+      this.salt       = data.salt || null;
+      this.iterations = Number(data.iterations || PBKDF2_ITERATIONS);
+      this.verifier   = data.verifier || null;
+      this._key       = null;
+    }
+
+    isConfigured() { return Boolean(this.salt && this.verifier); }
+
+    isUnlocked() { return Boolean(this._key); }
+
+    // ── Unlock (first unlock configures the vault with this passphrase) ───
+
+    async unlock(passphrase) {
+      if (!passphrase) throw new Error("Vault: passphrase required");
+      const subtle = _subtle();
+
+      if (!this.isConfigured()) {
+        const salt = root.crypto.getRandomValues(new Uint8Array(16));
+        const key  = await _deriveKey(subtle, passphrase, salt, this.iterations);
+        this.salt     = _toB64(salt);
+        this._key     = key;
+        this.verifier = await this.encrypt(VERIFIER_TEXT);
+        return true;
+      }
+
+      const key = await _deriveKey(subtle, passphrase, _fromB64(this.salt), this.iterations);
+      try {
+        const check = await _decryptWith(subtle, key, this.verifier);
+        if (check !== VERIFIER_TEXT) return false;
+      } catch (_) {
+        return false;
+      }
+      this._key = key;
+      return true;
+    }
+
+    lock() { this._key = null; }
+
+    // ── Envelope encryption ───────────────────────────────────────────────
+
+    async encrypt(plaintext) {
+      if (!this._key) throw new Error("Vault is locked");
+      const iv = root.crypto.getRandomValues(new Uint8Array(12));
+      const ct = await _subtle().encrypt(
+        { name: "AES-GCM", iv }, this._key, new TextEncoder().encode(String(plaintext))
+      );
+      return { v: ENVELOPE_VERSION, iv: _toB64(iv), ct: _toB64(new Uint8Array(ct)) };
+    }
+
+    async decrypt(envelope) {
+      if (!this._key) throw new Error("Vault is locked");
+      return _decryptWith(_subtle(), this._key, envelope);
+    }
+
+    status() {
+      return { configured: this.isConfigured(), unlocked: this.isUnlocked() };
+    }
+
+    serialize() {
+      return { salt: this.salt, iterations: this.iterations, verifier: this.verifier };
+    }
+
+    static isEnvelope(x) {
+      return Boolean(x && typeof x === "object" && x.iv && x.ct);
+    }
+
+    static deserialize(data = {}) { return new Vault(data); }
+  }
+
+  // ── Crypto helpers ─────────────────────────────────────────────────────────
+
+  function _subtle() {
+    const subtle = root.crypto && root.crypto.subtle;
+    if (!subtle) throw new Error("Vault: WebCrypto (crypto.subtle) not available");
+    return subtle;
+  }
+
+  async function _deriveKey(subtle, passphrase, salt, iterations) {
+    const material = await subtle.importKey(
+      "raw", new TextEncoder().encode(String(passphrase)), "PBKDF2", false, ["deriveKey"]
+    );
+    return subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async function _decryptWith(subtle, key, envelope) {
+    const pt = await subtle.decrypt(
+      { name: "AES-GCM", iv: _fromB64(envelope.iv) }, key, _fromB64(envelope.ct)
+    );
+    return new TextDecoder().decode(pt);
+  }
+
+  function _toB64(bytes) {
+    let s = "";
+    for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+    return btoa(s);
+  }
+
+  function _fromB64(b64) {
+    const s = atob(b64);
+    const out = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+    return out;
+  }
+
+  const api = Object.freeze({ Vault, PBKDF2_ITERATIONS });
+
+  root.AutoFillGraphV5Vault = api;
+  if (typeof module !== "undefined" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : this);
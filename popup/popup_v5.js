@@ -13,8 +13,112 @@ async function withActiveTab(fn) {
   return fn(tab.id);
 }
 
-async function sendToContent(tabId, action, data = {}) {
-  return chrome.tabs.sendMessage(tabId, { action, ...data });
+async function sendToContent(tabId, action, data = {}, frameId = 0) {
+  return chrome.tabs.sendMessage(tabId, { action, ...data }, { frameId });
+}
+
+// ── Frames ───────────────────────────────────────────────────────────────────
+// The content script runs in every frame but only answers in the top frame
+// and same-origin iframes; other frames reject and are skipped.
+
+async function frameIds(tabId) {
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId });
+    return frames?.length ? frames.map(f => f.frameId).sort((a, b) => a - b) : [0];
+  } catch (_) {
+    return [0];
+  }
+}
+
+async function sendToFrames(tabId, action, data = {}) {
+  const out = [];
+  for (const frameId of await frameIds(tabId)) {
+    try {
+      const res = await sendToContent(tabId, action, data, frameId);
+      if (res && !res.error) out.push({ frameId, res });
+    } catch (err) {
+      if (frameId === 0) throw err;
+    }
+  }
+  return out;
+}
+
+// DETECT_FIELDS across frames; domain/origin/blocked come from the top frame.
+// Fingerprint ids are only unique within a frame (two iframes can hold the
+// same payment widget), so ids are qualified as "<frameId>:<id>" here and
+// frameOf records which frame owns each one; injectAll strips the prefix.
+async function detectAll(tabId) {
+  const replies = await sendToFrames(tabId, "DETECT_FIELDS");
+  const top     = replies.find(r => r.frameId === 0)?.res || replies[0]?.res || {};
+  const fields = [], choices = {}, frameOf = {};
+  for (const { frameId, res } of replies) {
+    for (const field of res.fields || []) {
+      const id = `${frameId}:${field.id}`;
+      frameOf[id] = frameId;
+      fields.push({ ...field, id });
+      if (res.choices?.[field.id]) choices[id] = res.choices[field.id];
+    }
+  }
+  return {
+    fields, choices, frameOf, count: fields.length,
+    blocked: Boolean(top.blocked), domain: top.domain, origin: top.origin, lang: top.lang || null
+  };
+}
+
+async function collectAll(tabId) {
+  const replies = await sendToFrames(tabId, "COLLECT_FORM");
+  const top     = replies.find(r => r.frameId === 0)?.res || replies[0]?.res || {};
+  const form = {};
+  const repeats = [];
+  for (const { res } of replies) {
+    for (const [label, value] of Object.entries(res.form || {})) {
+      if (!Object.hasOwn(form, label)) form[label] = value;
+    }
+    repeats.push(...(res.repeats || []));
+  }
+  return { form, repeats, blocked: Boolean(top.blocked), origin: top.origin, lang: top.lang || null };
+}
+
+// EXPAND_SECTIONS in each frame owning a short section; returns blocks added.
+async function expandSections(tabId, detected, sections = {}) {
+  const byFrame = new Map();
+  for (const [key, sec] of Object.entries(sections)) {
+    if (sec.items <= sec.blocks) continue;
+    const owner = detected.fields.find(f => f.repeat?.key === key);
+    if (!owner) continue;
+    const frameId = detected.frameOf[owner.id] ?? 0;
+    if (!byFrame.has(frameId)) byFrame.set(frameId, {});
+    byFrame.get(frameId)[key] = sec.items - sec.blocks;
+  }
+  let added = 0;
+  for (const [frameId, want] of byFrame) {
+    const res = await sendToContent(tabId, "EXPAND_SECTIONS", { sections: want }, frameId)
+      .catch(() => null);
+    added += res?.added || 0;
+  }
+  return added;
+}
+
+// INJECT_AUTOFILL per frame with only the field ids that frame reported,
+// unqualified; idPrefix lets the page report feedback under the episode's
+// qualified ids.
+async function injectAll(tabId, frameOf, filled, meta, episodeId) {
+  const byFrame = new Map();
+  for (const id of Object.keys(filled)) {
+    const frameId = frameOf[id] ?? 0;
+    const local   = id.slice(`${frameId}:`.length);
+    if (!byFrame.has(frameId)) byFrame.set(frameId, { filled: {}, meta: {} });
+    const part = byFrame.get(frameId);
+    part.filled[local] = filled[id];
+    if (meta?.[id]) part.meta[local] = meta[id];
+  }
+  let count = 0;
+  for (const [frameId, part] of byFrame) {
+    const res = await sendToContent(tabId, "INJECT_AUTOFILL", { ...part, episodeId, idPrefix: `${frameId}:` }, frameId)
+      .catch(() => null);
+    count += res?.count || 0;
+  }
+  return count;
 }
 
 let _toast;
@@ -26,6 +130,17 @@ function toast(text, duration = 2200) {
   _toast._timer = setTimeout(() => _toast.classList.remove("show"), duration);
 }
 
+// Whose details the page asks for; labels with their own cue
+// ("Spouse's name") override it per field.
+function selectedSubject() {
+  return document.getElementById("subject-select")?.value || "self";
+}
+
+// "" leaves the choice to the site rule (base profile when there is none)
+function selectedPersona() {
+  return document.getElementById("persona-select")?.value || undefined;
+}
+
 function spin(id, on) {
   const el = document.getElementById(id);
   if (el) el.style.display = on ? "inline-block" : "none";
@@ -58,7 +173,7 @@ document.querySelectorAll(".tab").forEach(tab => {
 document.getElementById("btn-detect").addEventListener("click", async () => {
   spin("detect-spin", true);
   try {
-    const res = await withActiveTab(id => sendToContent(id, "DETECT_FIELDS"));
+    const res = await withActiveTab(detectAll);
     document.getElementById("fields-count").textContent = `${res.count || 0} fields`;
     setStatus("Fields detected", "ok");
     toast(`${res.count} fields found on page`);
@@ -77,18 +192,29 @@ document.getElementById("btn-autofill").addEventListener("click", async () => {
   setStatus("Filling…");
   try {
     // Detect current fields
-    const { fields, domain } = await withActiveTab(id =>
-      sendToContent(id, "DETECT_FIELDS")
-    );
-    if (!fields?.length) { toast("No fields detected"); return; }
+    let detected = await withActiveTab(detectAll);
+    if (detected.blocked) { toast("Autofill is disabled for this site"); setStatus("Blocked by site rule"); return; }
+    if (!detected.fields?.length) { toast("No fields detected"); return; }
 
     // Ask background to autofill
-    const { filled, meta, episodeId } = await msg("AUTOFILL", { fields, domain });
+    const subject = selectedSubject();
+    const persona = selectedPersona();
+    const fill = ({ fields, domain, origin, choices, lang }) =>
+      msg("AUTOFILL", { fields, domain, origin, choices, lang, subject, persona });
+    let res = await fill(detected);
+    if (res.blocked) { toast("Autofill is disabled for this site"); setStatus("Blocked by site rule"); return; }
+
+    // Repeating sections holding more list items than the page has blocks:
+    // press their "add another" control, then detect and fill once more.
+    if (await withActiveTab(id => expandSections(id, detected, res.sections))) {
+      detected = await withActiveTab(detectAll);
+      res = await fill(detected);
+    }
+    const { fields, frameOf } = detected;
+    const { filled, meta, episodeId } = res;
 
     // Inject into page
-    const count = await withActiveTab(id =>
-      sendToContent(id, "INJECT_AUTOFILL", { filled, meta })
-    );
+    await withActiveTab(id => injectAll(id, frameOf, filled, meta, episodeId));
 
     const total = fields.length;
     const done  = Object.values(filled).filter(v => v && v !== "UNKNOWN").length;
@@ -97,6 +223,7 @@ document.getElementById("btn-autofill").addEventListener("click", async () => {
       `${done}/${total} · ep ${episodeId}`;
     toast(`Filled ${done} of ${total} fields`);
     await refreshQuickStats();
+    await renderLastEpisode();
   } catch (err) {
     setStatus("Error", "err");
     toast("Autofill failed — see console");
@@ -111,15 +238,25 @@ document.getElementById("btn-autofill").addEventListener("click", async () => {
 document.getElementById("btn-learn").addEventListener("click", async () => {
   setStatus("Learning…");
   try {
-    const form = await withActiveTab(id => sendToContent(id, "COLLECT_FORM"));
+    const { form, repeats, blocked, origin, lang } = await withActiveTab(collectAll);
+    if (blocked) {
+      toast("Learning is disabled for this site");
+      setStatus("Blocked by site rule");
+      return;
+    }
     if (!form || !Object.keys(form).length) {
       toast("No filled fields to learn from");
       setStatus("Nothing to learn");
       return;
     }
-    const { learned, inferred } = await msg("LEARN", { form });
+    const { learned, inferred, lists = [], rejected = [] } = await msg("LEARN", {
+      form, repeats, origin, lang, subject: selectedSubject(), persona: selectedPersona()
+    });
+    const items = lists.reduce((n, l) => n + l.items, 0);
     setStatus(`Learned ${learned.length} props`, "ok");
-    toast(`Learned ${learned.length} props, inferred ${inferred.length}`);
+    toast(`Learned ${learned.length} props, inferred ${inferred.length}` +
+          (items ? `, ${items} list item(s)` : "") +
+          (rejected.length ? ` — skipped ${_describeRejected(rejected)}` : ""));
     await refreshQuickStats();
   } catch (err) {
     setStatus("Error", "err");
@@ -127,6 +264,107 @@ document.getElementById("btn-learn").addEventListener("click", async () => {
   }
 });
 
+// "Email (looks like a phone)", "Graduation date (invalid date)"
+function _describeRejected(rejected) {
+  const parts = rejected.slice(0, 2).map(r => r.detected
+    ? `${r.label} (looks like a ${r.detected})`
+    : `${r.label} (invalid ${r.reason.replace(/^invalid_/, "").replace(/_/g, " ")})`);
+  return parts.join(", ") + (rejected.length > 2 ? ` +${rejected.length - 2} more` : "");
+}
+
+// ── Last episode feedback ─────────────────────────────────────────────────────
+// Builds {field: "accept"|"reject"|"correct:<value>"} and sends it as FEEDBACK.
+// "Wrong field" (⇄) sends "correct:mapping:<prop>", or "reject:mapping" when
+// no property is named, so the mapper stops using that label for the field.
+
+let _episode  = null;
+let _feedback = {};
+
+async function renderLastEpisode() {
+  const listEl = document.getElementById("episode-list");
+  const sendEl = document.getElementById("btn-send-feedback");
+  const siteEl = document.getElementById("fb-site-only-row");
+  const { episode, feedback } = await msg("GET_LAST_EPISODE").catch(() => ({}));
+  _episode  = episode || null;
+  _feedback = {};
+
+  const rows = Object.entries(_episode?.results || {})
+    .map(([id, r]) => ({ ...r, id }))
+    .filter(r => r.status && r.status !== "UNKNOWN");
+  if (!rows.length) {
+    listEl.innerHTML = '<div class="empty">No filled fields yet</div>';
+    sendEl.style.display = "none";
+    siteEl.style.display = "none";
+    return;
+  }
+  const { names = [] } = await msg("LIST_SCHEMA").catch(() => ({}));
+  document.getElementById("fb-prop-names").innerHTML =
+    names.map(n => `<option value="${_esc(n)}"></option>`).join("");
+
+  listEl.innerHTML = rows.map(r => {
+    const prior = feedback?.[r.id] || "";
+    const given = prior === "reject:mapping" || prior.startsWith("correct:mapping:") ? "remap" : prior.split(":")[0];
+    const btn = (action, glyph) => `<button class="fb-btn${given === action ? ` on-${action}` : ""}"
+      data-fb-field="${_esc(r.id)}" data-fb-action="${action}" title="${action}">${glyph}</button>`;
+    return `<div class="fb-row">
+      <div class="fb-field">
+        <div>${_esc(r.field)} <small style="color:var(--c-muted)">${_esc(r.status)}</small></div>
+        <div class="fb-value">${_esc(r.prop || "—")}</div>
+        <input class="form-input fb-correct" data-fb-input="${_esc(r.id)}"
+               style="display:none" placeholder="Correct value…" />
+        <input class="form-input fb-correct" data-fb-remap="${_esc(r.id)}" list="fb-prop-names"
+               style="display:none" placeholder="Right field (${_esc(r.prop || "none")} is wrong)…" />
+      </div>
+      ${btn("accept", "✓")}${btn("reject", "✕")}${btn("correct", "✎")}${btn("remap", "⇄")}
+    </div>`;
+  }).join("");
+  sendEl.style.display = "";
+  siteEl.style.display = "";
+
+  listEl.querySelectorAll("[data-fb-action]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const field  = btn.dataset.fbField;
+      const action = btn.dataset.fbAction;
+      const input  = [...listEl.querySelectorAll("[data-fb-input]")]
+        .find(i => i.dataset.fbInput === field);
+      const remap  = [...listEl.querySelectorAll("[data-fb-remap]")]
+        .find(i => i.dataset.fbRemap === field);
+      input.style.display = action === "correct" ? "" : "none";
+      remap.style.display = action === "remap" ? "" : "none";
+      if (action === "correct") input.focus();
+      if (action === "remap") remap.focus();
+      _feedback[field] = action;
+      btn.parentElement.querySelectorAll(".fb-btn").forEach(b => {
+        b.className = "fb-btn" + (b === btn ? ` on-${action}` : "");
+      });
+    });
+  });
+}
+
+document.getElementById("btn-send-feedback").addEventListener("click", async () => {
+  if (!_episode) return;
+  const fb = {};
+  for (const [field, action] of Object.entries(_feedback)) {
+    if (action === "remap") {
+      const prop = [...document.querySelectorAll("[data-fb-remap]")]
+        .find(i => i.dataset.fbRemap === field)?.value.trim();
+      fb[field] = prop ? `correct:mapping:${prop}` : "reject:mapping";
+      continue;
+    }
+    if (action !== "correct") { fb[field] = action; continue; }
+    const input = [...document.querySelectorAll("[data-fb-input]")]
+      .find(i => i.dataset.fbInput === field);
+    const v = input?.value.trim();
+    if (v) fb[field] = `correct:${v}`;
+  }
+  if (!Object.keys(fb).length) { toast("Mark at least one field"); return; }
+  const siteOnly = document.getElementById("fb-site-only").checked;
+  const res = await msg("FEEDBACK", { episodeId: _episode.id, feedback: fb, siteOnly });
+  toast(res.ok ? `Feedback sent for ${Object.keys(fb).length} field(s)` : "Feedback failed");
+  await refreshQuickStats();
+  await renderLastEpisode();
+});
+
 // ── Export ────────────────────────────────────────────────────────────────────
 
 document.getElementById("btn-export").addEventListener("click", async () => {
@@ -153,19 +391,366 @@ document.getElementById("btn-clear").addEventListener("click", async () => {
   renderGraph();
 });
 
-// ── Save API key ──────────────────────────────────────────────────────────────
+// ── LLM provider settings ─────────────────────────────────────────────────────
+
+function _syncProviderFields() {
+  const provider = document.getElementById("llm-provider").value;
+  document.getElementById("llm-endpoint-group").style.display = provider === "openai" ? "" : "none";
+  document.getElementById("api-key").disabled = provider === "mock";
+  document.getElementById("model-select").placeholder =
+    provider === "mistral" ? "mistral-small-latest" : provider === "openai" ? "server default" : "mock";
+}
+
+document.getElementById("llm-provider").addEventListener("change", _syncProviderFields);
 
 document.getElementById("btn-save-key").addEventListener("click", async () => {
-  const key   = document.getElementById("api-key").value.trim();
-  const model = document.getElementById("model-select").value;
-  await chrome.storage.sync.set({ mistralModel: model });
-  const { ok } = await msg("SET_API_KEY", { apiKey: key });
+  const provider = document.getElementById("llm-provider").value;
+  const { ok, lastError } = await msg("SET_LLM_CONFIG", {
+    provider,
+    apiKey:   document.getElementById("api-key").value.trim(),
+    model:    document.getElementById("model-select").value.trim(),
+    endpoint: document.getElementById("llm-endpoint").value.trim()
+  });
   document.getElementById("api-status").textContent = ok ? "Connected" : "Failed";
   document.getElementById("api-status").className =
     "status-val " + (ok ? "ok" : "err");
-  toast(ok ? "API key saved and tested ✓" : "API key test failed");
+  toast(ok ? "LLM provider saved and tested ✓" : `LLM test failed${lastError ? ": " + lastError.slice(0, 60) : ""}`);
+});
+
+// ── Site rules ────────────────────────────────────────────────────────────────
+
+document.getElementById("btn-policy-save").addEventListener("click", async () => {
+  const pattern = document.getElementById("policy-pattern").value.trim();
+  if (!pattern) { toast("Enter an origin or host"); return; }
+  const rule = {
+    neverLearn:     document.getElementById("policy-never-learn").checked,
+    neverFill:      document.getElementById("policy-never-fill").checked,
+    maxSensitivity: document.getElementById("policy-max-sens").value || undefined,
+    domain:         document.getElementById("policy-domain").value || undefined,
+    persona:        document.getElementById("policy-persona").value || undefined
+  };
+  const res = await msg("SET_POLICY", { pattern, rule });
+  toast(res.ok ? "Site rule saved" : "Invalid site pattern");
+  await renderPolicies();
+});
+
+async function renderPolicies() {
+  const listEl = document.getElementById("policy-list");
+  const { rules } = await msg("LIST_POLICIES").catch(() => ({ rules: [] }));
+  if (!rules?.length) {
+    listEl.innerHTML = '<div class="empty">No site rules</div>';
+  } else {
+    listEl.innerHTML = rules.map(r => {
+      const flags = [
+        r.neverLearn ? "never learn" : "",
+        r.neverFill ? "never fill" : "",
+        r.maxSensitivity ? `max ${r.maxSensitivity.toLowerCase()}` : "",
+        r.domain ? `domain: ${r.domain}` : "",
+        r.persona ? `persona: ${r.persona}` : ""
+      ].filter(Boolean).join(" · ") || "no restrictions";
+      return `<div class="node-row">
+        <span style="flex:1">${_esc(r.pattern)}</span>
+        <span style="color:var(--c-muted);font-size:10px">${_esc(flags)}</span>
+        <button class="btn btn-ghost" data-remove-policy="${_esc(r.pattern)}" style="padding:2px 6px">✕</button>
+      </div>`;
+    }).join("");
+    listEl.querySelectorAll("[data-remove-policy]").forEach(btn => {
+      btn.addEventListener("click", async () => {
+        await msg("REMOVE_POLICY", { pattern: btn.dataset.removePolicy });
+        toast("Site rule removed");
+        await renderPolicies();
+      });
+    });
+  }
+
+  await renderSiteMappings();
+
+  // Prefill the pattern with the active tab's origin
+  const input = document.getElementById("policy-pattern");
+  if (!input.value) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true }).catch(() => []);
+    try { input.value = new URL(tab.url).origin; } catch (_) {}
+  }
+}
+
+// Origins whose labels are pinned to properties (learned or fixed there)
+async function renderSiteMappings() {
+  const listEl = document.getElementById("site-mapping-list");
+  const { sites = [] } = await msg("LIST_SITE_MAPPINGS").catch(() => ({}));
+  listEl.innerHTML = sites.length
+    ? sites.map(s => `<div class="node-row">
+        <span style="flex:1">${_esc(s.origin)}</span>
+        <span style="color:var(--c-muted);font-size:10px">${s.count} field${s.count === 1 ? "" : "s"}</span>
+        <button class="btn btn-ghost" data-forget-site="${_esc(s.origin)}" style="padding:2px 6px">✕</button>
+      </div>`).join("")
+    : '<div class="empty">No site-specific mappings yet</div>';
+  listEl.querySelectorAll("[data-forget-site]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      await msg("FORGET_SITE_MAPPINGS", { origin: btn.dataset.forgetSite });
+      toast("Site mappings forgotten");
+      await renderSiteMappings();
+    });
+  });
+}
+
+// ── LLM budget ────────────────────────────────────────────────────────────────
+
+const BUDGET_INPUTS = {
+  dailyCalls:    "budget-daily-calls",
+  dailyTokens:   "budget-daily-tokens",
+  monthlyCalls:  "budget-monthly-calls",
+  monthlyTokens: "budget-monthly-tokens"
+};
+
+document.getElementById("btn-budget-save").addEventListener("click", async () => {
+  const limits = {};
+  for (const [key, id] of Object.entries(BUDGET_INPUTS)) {
+    limits[key] = Number(document.getElementById(id).value) || 0;
+  }
+  await msg("SET_BUDGET", { limits });
+  toast("Budget saved");
+  await renderBudget();
+  await renderAudit();
+});
+
+async function renderBudget() {
+  const { budget, history } = await msg("GET_BUDGET").catch(() => ({}));
+  if (!budget) return;
+  const fmt = (u, cap, capTok) =>
+    `${u.calls}${cap ? "/" + cap : ""} · ${u.tokens}${capTok ? "/" + capTok : ""}`;
+  const dayEl = document.getElementById("budget-day");
+  dayEl.textContent = fmt(budget.day, budget.limits.dailyCalls, budget.limits.dailyTokens);
+  document.getElementById("budget-month").textContent =
+    fmt(budget.month, budget.limits.monthlyCalls, budget.limits.monthlyTokens);
+  dayEl.className = "status-val " + (budget.ok ? "" : "err");
+  if (!budget.ok) dayEl.title = `Exhausted: ${budget.exceeded.join(", ")}`;
+
+  for (const [key, id] of Object.entries(BUDGET_INPUTS)) {
+    document.getElementById(id).value = budget.limits[key] || "";
+  }
+
+  const max = Math.max(1, ...history.map(h => h.tokens));
+  document.getElementById("budget-chart").innerHTML = history.map(h =>
+    `<div class="usage-bar${h.tokens ? "" : " zero"}" title="${_esc(h.day)}: ${h.calls} calls, ${h.tokens} tokens"
+          style="height:${Math.round((h.tokens / max) * 100)}%"></div>`
+  ).join("");
+}
+
+// ── Outbound audit ────────────────────────────────────────────────────────────
+// Every payload sent to the LLM provider, as sent (after redaction).
+
+document.getElementById("btn-audit-clear").addEventListener("click", async () => {
+  if (!confirm("Clear the outbound audit log?")) return;
+  await msg("CLEAR_AUDIT");
+  toast("Audit log cleared");
+  await renderAudit();
+});
+
+async function renderAudit() {
+  const { entries, total } = await msg("GET_AUDIT", { limit: 20 }).catch(() => ({ entries: [], total: 0 }));
+  const listEl = document.getElementById("audit-list");
+  const redacted = (entries || []).reduce((s, e) => s + e.redacted, 0);
+  document.getElementById("audit-summary").textContent =
+    `${total || 0} outbound requests logged · ${redacted} redactions in the last ${entries?.length || 0}`;
+  if (!entries?.length) {
+    listEl.innerHTML = '<div class="empty">Nothing has been sent to an LLM</div>';
+    return;
+  }
+  listEl.innerHTML = entries.map(e => {
+    const types = Object.entries(e.redactions).map(([t, n]) => `${t}×${n}`).join(", ");
+    const body  = e.messages.map(m => `[${m.role}]\n${m.content}`).join("\n\n");
+    return `<details class="audit-entry">
+      <summary>
+        <span style="flex:1">${_esc(new Date(e.at).toLocaleString())}</span>
+        <span style="color:var(--c-muted)">${_esc(e.provider || "?")} · ${_esc(e.mode)} · ${e.chars} chars</span>
+        <span style="color:${e.redacted ? "var(--c-red)" : "var(--c-muted)"}">${e.redacted ? _esc(types) : "no redactions"}</span>
+      </summary>
+      <pre>${_esc(body)}</pre>
+    </details>`;
+  }).join("");
+}
+
+// ── Personas ──────────────────────────────────────────────────────────────────
+// Fills the action-panel switcher, the site-rule persona picker and the
+// settings list, keeping each select's current choice.
+
+async function renderPersonas() {
+  const { personas = [] } = await msg("LIST_PERSONAS").catch(() => ({}));
+  const options = personas.map(p => `<option value="${_esc(p.name)}">${_esc(p.label)}</option>`).join("");
+
+  const fill = (id, fixed) => {
+    const sel  = document.getElementById(id);
+    const keep = sel.value;
+    sel.innerHTML = fixed + options;
+    sel.value = [...sel.options].some(o => o.value === keep) ? keep : "";
+  };
+  fill("persona-select", '<option value="">Site default</option><option value="base">Base profile</option>');
+  fill("policy-persona", '<option value="">Persona: base profile</option>');
+
+  const listEl = document.getElementById("persona-list");
+  listEl.innerHTML = personas.length
+    ? personas.map(p => `<div class="node-row">
+        <span style="flex:1">${_esc(p.label)}</span>
+        <span style="color:var(--c-muted);font-size:10px">${_esc(p.name)}</span>
+        <button class="btn btn-ghost" data-remove-persona="${_esc(p.name)}" style="padding:2px 6px">✕</button>
+      </div>`).join("")
+    : '<div class="empty">No personas — fills use the base profile</div>';
+  listEl.querySelectorAll("[data-remove-persona]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      if (!confirm("Remove this persona and all of its overrides?")) return;
+      await msg("REMOVE_PERSONA", { name: btn.dataset.removePersona });
+      toast("Persona removed");
+      await renderPersonas();
+    });
+  });
+}
+
+document.getElementById("btn-persona-add").addEventListener("click", async () => {
+  const input = document.getElementById("persona-name");
+  const label = input.value.trim();
+  if (!label) { toast("Enter a persona name"); return; }
+  const res = await msg("ADD_PERSONA", { name: label, label }).catch(() => null);
+  if (!res?.ok) { toast("Invalid persona name"); return; }
+  input.value = "";
+  toast(`Persona "${label}" added`);
+  await renderPersonas();
+});
+
+// ── Custom properties ─────────────────────────────────────────────────────────
+// User-declared schema properties; the type / layer pickers are filled from
+// the background's registry so custom layers show up too.
+
+async function renderSchema() {
+  const { properties = [], layers = [], types = [] } = await msg("LIST_SCHEMA").catch(() => ({}));
+
+  const typeSel = document.getElementById("schema-type");
+  if (!typeSel.options.length) {
+    typeSel.innerHTML = types.filter(t => t !== "image_ref")
+      .map(t => `<option value="${_esc(t)}">${_esc(_formatProp(t))}</option>`).join("");
+    typeSel.value = "text";
+  }
+  const layerSel = document.getElementById("schema-layer");
+  const keep = layerSel.value;
+  layerSel.innerHTML = '<option value="">Layer: custom (public)</option>' + layers
+    .filter(l => l.name !== "custom")
+    .map(l => `<option value="${_esc(l.name)}">Layer: ${_esc(l.name)} (${_esc(l.sensitivity.toLowerCase())})</option>`).join("");
+  layerSel.value = [...layerSel.options].some(o => o.value === keep) ? keep : "";
+
+  const listEl = document.getElementById("schema-list");
+  listEl.innerHTML = properties.length
+    ? properties.map(p => `<div class="node-row" title="${_esc(p.description)}">
+        <span style="flex:1">${_esc(_formatProp(p.name))}</span>
+        <span style="color:var(--c-muted);font-size:10px">${_esc(p.type)} · ${_esc(p.layer)} · ${_esc(p.effectiveSensitivity.toLowerCase())}</span>
+        <button class="btn btn-ghost" data-remove-prop="${_esc(p.name)}" style="padding:2px 6px">✕</button>
+      </div>`).join("")
+    : '<div class="empty">No custom properties</div>';
+  listEl.querySelectorAll("[data-remove-prop]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      if (!confirm("Remove this property definition? Stored values are kept.")) return;
+      const res = await msg("REMOVE_PROPERTY", { name: btn.dataset.removeProp }).catch(() => null);
+      if (!res?.ok) { toast(res?.error || "Could not remove property"); return; }
+      toast("Property removed");
+      await renderSchema();
+    });
+  });
+}
+
+document.getElementById("schema-type").addEventListener("change", e => {
+  document.getElementById("schema-options-group").style.display = e.target.value === "enum" ? "" : "none";
 });
 
+document.getElementById("btn-schema-add").addEventListener("click", async () => {
+  const val  = id => document.getElementById(id).value.trim();
+  const name = val("schema-name");
+  if (!name) { toast("Enter a property name"); return; }
+  const spec = {
+    type:        val("schema-type") || "text",
+    aliases:     val("schema-aliases"),
+    description: val("schema-description"),
+    layer:       val("schema-layer") || undefined,
+    sensitivity: val("schema-sensitivity") || undefined,
+    options:     val("schema-options").split(",").map(o => o.trim()).filter(Boolean)
+  };
+  const res = await msg("DEFINE_PROPERTY", { name, spec }).catch(() => null);
+  if (!res?.ok) { toast(res?.error || "Could not add property"); return; }
+  for (const id of ["schema-name", "schema-aliases", "schema-description", "schema-options"]) {
+    document.getElementById(id).value = "";
+  }
+  toast(`Property "${_formatProp(res.property.name)}" added`);
+  await renderSchema();
+});
+
+// ── Property suggestions (orphan promotion review) ───────────────────────────
+// Accept with the name field unchanged takes the suggestion; editing the name
+// renames it (an existing property name merges into that property).
+
+async function renderProposals() {
+  const { proposals = [] } = await msg("LIST_SCHEMA_PROPOSALS").catch(() => ({}));
+  const listEl = document.getElementById("proposal-list");
+  listEl.innerHTML = proposals.length
+    ? proposals.map((p, i) => `<div class="status-card" data-proposal="${i}">
+        <div class="status-row">
+          <span class="status-label">${p.labels.map(l => `"${_esc(l)}"`).join(", ")}</span>
+          <span class="status-val">${p.action === "merge" ? "merge into" : "new property"}</span>
+        </div>
+        <div style="color:var(--c-muted);font-size:10px;margin:2px 0 6px">
+          ${_esc(p.values.slice(0, 3).join(" · "))} · ${_esc(p.type)}
+        </div>
+        <div style="display:flex;gap:6px">
+          <input class="form-input" type="text" data-proposal-name value="${_esc(p.action === "merge" ? p.target : p.name)}" />
+          <button class="btn btn-primary" data-proposal-accept style="padding:2px 8px">Accept</button>
+          <button class="btn btn-ghost" data-proposal-discard style="padding:2px 8px">Discard</button>
+        </div>
+      </div>`).join("")
+    : '<div class="empty">No unmapped properties to review</div>';
+
+  listEl.querySelectorAll("[data-proposal]").forEach(card => {
+    const p = proposals[Number(card.dataset.proposal)];
+    const suggested = p.action === "merge" ? p.target : p.name;
+    const resolve = async (decision) => {
+      const name = card.querySelector("[data-proposal-name]").value.trim();
+      const res = await msg("RESOLVE_SCHEMA_PROPOSAL", {
+        id: p.id, decision, name: decision === "accept" && name && name !== suggested ? name : null
+      }).catch(() => null);
+      if (!res?.ok) { toast(res?.error || "Could not apply suggestion"); return; }
+      toast(decision === "discard" ? "Suggestion discarded" : `Saved as ${_formatProp(res.target)}`);
+      await renderSchema();
+      await renderProposals();
+    };
+    card.querySelector("[data-proposal-accept]").addEventListener("click", () => resolve("accept"));
+    card.querySelector("[data-proposal-discard]").addEventListener("click", () => resolve("discard"));
+  });
+}
+
+// ── Vault unlock / lock ───────────────────────────────────────────────────────
+
+document.getElementById("btn-vault-unlock").addEventListener("click", async () => {
+  const input = document.getElementById("vault-pass");
+  const passphrase = input.value;
+  if (!passphrase) { toast("Enter a passphrase"); return; }
+  const { ok, vault } = await msg("VAULT_UNLOCK", { passphrase });
+  input.value = "";
+  _renderVaultStatus(vault);
+  toast(ok ? "Vault unlocked ✓" : "Wrong passphrase");
+});
+
+document.getElementById("btn-vault-lock").addEventListener("click", async () => {
+  const { vault } = await msg("VAULT_LOCK");
+  _renderVaultStatus(vault);
+  toast("Vault locked");
+});
+
+function _renderVaultStatus(vault) {
+  const el = document.getElementById("vault-status");
+  if (!vault?.configured) {
+    el.textContent = "Not set up — sensitive data stored in plaintext";
+    el.className   = "status-val err";
+  } else {
+    el.textContent = vault.unlocked ? "Unlocked" : "Locked";
+    el.className   = "status-val " + (vault.unlocked ? "ok" : "");
+  }
+}
+
 // ── Refresh quick stats ───────────────────────────────────────────────────────
 
 async function refreshQuickStats() {
@@ -297,14 +882,37 @@ async function renderGraph() {
 // ── Settings panel ────────────────────────────────────────────────────────────
 
 async function renderSettings() {
-  const cfg = await chrome.storage.sync.get(["apiKey", "mistralModel"]).catch(() => ({}));
+  const cfg = await chrome.storage.sync.get(["llmProvider", "apiKey", "llmModel", "mistralModel", "llmEndpoint"])
+    .catch(() => ({}));
+  document.getElementById("llm-provider").value = cfg.llmProvider || "mistral";
   if (cfg.apiKey) document.getElementById("api-key").value = cfg.apiKey;
-  if (cfg.mistralModel) document.getElementById("model-select").value = cfg.mistralModel;
+  if (cfg.llmModel || cfg.mistralModel) document.getElementById("model-select").value = cfg.llmModel || cfg.mistralModel;
+  if (cfg.llmEndpoint) document.getElementById("llm-endpoint").value = cfg.llmEndpoint;
+  _syncProviderFields();
 
   const { stats } = await msg("GET_STATS").catch(() => ({ stats: {} }));
   const st = stats || {};
-  document.getElementById("api-status").textContent = st.llm_calls > 0 ? "Active" : "—";
+  const llmSt = st.llm_status || {};
+  const apiEl = document.getElementById("api-status");
+  if (llmSt.cooldownMs > 0) {
+    apiEl.textContent = `Cooling down (${Math.ceil(llmSt.cooldownMs / 1000)}s)`;
+    apiEl.className   = "status-val err";
+  } else if (llmSt.lastErrorKind === "auth" && !llmSt.available) {
+    apiEl.textContent = "Auth failed";
+    apiEl.className   = "status-val err";
+  } else {
+    apiEl.textContent = st.llm_calls > 0 ? "Active" : "—";
+  }
   document.getElementById("tokens-used").textContent = st.llm_tokens ?? "—";
+  const cache = st.llm_cache;
+  document.getElementById("cache-stats").textContent =
+    cache ? `${cache.hits} / ${cache.misses} (${cache.entries} cached)` : "—";
+  _renderVaultStatus(st.vault);
+  await renderBudget();
+  await renderPersonas();
+  await renderSchema();
+  await renderProposals();
+  await renderPolicies();
 
   // Privacy breakdown
   const { current } = await msg("GET_GRAPH_DATA").catch(() => ({ current: {} }));
@@ -313,6 +921,7 @@ async function renderSettings() {
   privEl.innerHTML = `
     <div class="status-row"><span class="status-label">Total facts stored</span><span class="status-val">${total}</span></div>
     <div class="status-row" style="margin-top:4px"><span class="status-label">Storage engine</span><span class="status-val">Chrome.storage.local</span></div>
+    <div class="status-row" style="margin-top:4px"><span class="status-label">Sensitive layers at rest</span><span class="status-val">${st.vault?.configured ? "AES-GCM (PBKDF2 key)" : "Plaintext"}</span></div>
     <div class="status-row" style="margin-top:4px"><span class="status-label">Encrypted props</span><span class="status-val" style="color:var(--c-red)">Never leave device</span></div>`;
 }
 
@@ -323,11 +932,14 @@ function _formatProp(p) {
 }
 
 function _esc(s) {
-  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
 // ── Init ──────────────────────────────────────────────────────────────────────
 
 (async function init() {
+  await renderPersonas();
   await refreshQuickStats();
+  await renderLastEpisode();
 })();
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import V5 from "./loadV5.js";
+
+const { MockLLMClient } = globalThis.AutoFillGraphV5LLMClient;
+const FIELDS = [{ id: "f1", label: "Zorblax quux" }];
+
+async function warmAgent() {
+  const llm   = new MockLLMClient({ reply: () => ({ filled: { "Zorblax quux": "London" } }) });
+  const agent = new V5.AutoFillAgentV5({ llm });
+  agent.learn({ "Full Name": "Ada Lovelace", "City": "London" });
+  agent.router.epsilon = 1;
+  const first = await agent.autofill(FIELDS, "x.com", true);
+  assert.equal(first.results.f1.route, V5.Schema.Route.RETRIEVAL_LLM);
+  assert.equal(first.results.f1.value, "London");
+  return { agent, llm, first };
+}
+
+test("a cached fill is served once the budget is spent", async () => {
+  const { agent, llm, first } = await warmAgent();
+  agent.budget.setLimits({ dailyCalls: llm.calls });
+  assert.equal(agent.budget.allows(), false);
+
+  const again = await agent.autofill(FIELDS, "x.com", true);
+  assert.equal(again.results.f1.value, first.results.f1.value);
+  assert.ok(again.results.f1.evidence.includes("cache:hit"));
+});
+
+test("a cached fill is served while the provider is unavailable", async () => {
+  const { agent, llm, first } = await warmAgent();
+  const calls = llm.calls;
+  llm.available = () => false;
+
+  const again = await agent.autofill(FIELDS, "x.com", true);
+  assert.equal(again.results.f1.value, first.results.f1.value);
+  assert.equal(llm.calls, calls);
+});
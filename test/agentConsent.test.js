@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import V5 from "./loadV5.js";
+
+const ORIGIN = "https://shop.example";
+
+function agent() {
+  const a = new V5.AutoFillAgentV5({ llm: V5.createLLMClient({ provider: "mock" }) });
+  a.learn({ "Email": "ada@example.org", "Phone": "+44 20 7946 0018", "Street address": "12 Baker Street", "City": "London" });
+  return a;
+}
+
+test("a composite field leaves out components refused on the origin", async () => {
+  const a = agent();
+  a.consent.record(ORIGIN, { phone: "never" });
+  const ep = await a.autofill([{ id: "f1", label: "Full address" }, { id: "f2", label: "Contact details" }],
+    "general", false, { origin: ORIGIN });
+  assert.equal(ep.results.f1.value, "12 Baker Street, London");
+  assert.ok(!String(ep.results.f2.value).includes("7946"));
+});
+
+test("composites stay within the site's sensitivity cap", async () => {
+  const a = agent();
+  const ep = await a.autofill([{ id: "f1", label: "Contact details" }], "general", false,
+    { origin: ORIGIN, maxSensitivity: V5.Schema.Sensitivity.PUBLIC });
+  for (const e of ep.results.f1.evidence) {
+    assert.equal(V5.Schema.getSensitivityForProperty(e.split("=")[0]), V5.Schema.Sensitivity.PUBLIC);
+  }
+});
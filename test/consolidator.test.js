@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import V5 from "./loadV5.js";
+
+const { TemporalKG } = V5;
+const { MemoryConsolidator } = globalThis.AutoFillGraphV5Consolidator;
+
+const episode = { results: { f1: { field: "Email", prop: "email" } } };
+
+test("a valid correction replaces the current value", () => {
+  const kg = new TemporalKG();
+  kg.store("email", "ada@example.org");
+  new MemoryConsolidator().consolidate(episode, { f1: "correct:ada@lovelace.dev" }, kg);
+  assert.equal(kg.current().email, "ada@lovelace.dev");
+  assert.equal(kg.history("email").filter(a => a.is_current()).length, 1);
+});
+
+test("a correction that fails the property's type leaves the value current", () => {
+  const kg = new TemporalKG();
+  kg.store("email", "ada@example.org");
+  new MemoryConsolidator().consolidate(episode, { f1: "correct:n/a" }, kg);
+  assert.equal(kg.current().email, "ada@example.org");
+  assert.equal(kg.history("email").length, 1);
+});
+
+test("a value correction to the word \"mapping\" is not a remap", () => {
+  const kg = new TemporalKG();
+  kg.store("job_title", "Engineer");
+  const ep = { results: { f1: { field: "Job title", prop: "job_title" } } };
+  let remapped = false;
+  const mapper = { correctMapping() { remapped = true; }, rejectMapping() { remapped = true; }, learnSiteMapping() {} };
+  new MemoryConsolidator().consolidate(ep, { f1: "correct:mapping" }, kg, mapper);
+  assert.equal(remapped, false);
+  assert.equal(kg.current().job_title, "mapping");
+  new MemoryConsolidator().consolidate(ep, { f1: "correct:mapping:employer" }, kg, mapper);
+  assert.equal(remapped, true);
+});
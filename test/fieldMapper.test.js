@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import V5 from "./loadV5.js";
+
+const ORIGIN = "https://forms.example";
+
+// A graph saved before Unicode normalisation: "Numéro de dossier" was learned
+// as "num ro de dossier" and stored under the ad-hoc id "num_ro_de_dossier".
+function legacyAgent() {
+  const a = new V5.AutoFillAgentV5({
+    llm: V5.createLLMClient({ provider: "mock" }),
+    fieldMapper: {
+      learnedMappings: { num_ro_de_dossier: ["num ro de dossier"] },
+      siteMappings:    { [ORIGIN]: { "r f rence": "num_ro_de_dossier" } }
+    }
+  });
+  a.kg.store("num_ro_de_dossier", "D-4711", "human", 0.9);
+  return a;
+}
+
+test("labels learned before Unicode normalisation still map to their ad-hoc property", async () => {
+  const a = legacyAgent();
+  assert.equal(a.mapper.map("Numéro de dossier").prop, "num_ro_de_dossier");
+  assert.equal(a.mapper.map("Référence", { origin: ORIGIN }).prop, "num_ro_de_dossier");
+  const ep = await a.autofill([{ id: "f1", label: "Numéro de dossier" }], "general", false, { origin: ORIGIN });
+  assert.equal(ep.results.f1.value, "D-4711");
+});
+
+test("re-learning a legacy label updates the stored property instead of forking it", () => {
+  const a = legacyAgent();
+  a.learn({ "Numéro de dossier": "D-4712" });
+  assert.equal(a.kg.current().num_ro_de_dossier, "D-4712");
+  assert.ok(!a.kg.propertyKeys().includes("numéro_de_dossier"));
+});
+
+test("a persona saved under its pre-Unicode id is reused, not duplicated", () => {
+  const reg = new V5.PersonaRegistry({ personas: { caf_work: { label: "Café work" } } });
+  assert.equal(reg.add("Café work"), "caf_work");
+  assert.equal(reg.list().length, 1);
+  assert.equal(reg.add("Bistro"), "bistro");
+});
+
+test("autocomplete tokens for address line 2, birthday parts and national numbers map directly", () => {
+  const m = new V5.FieldMapper();
+  const cases = {
+    "address-line2": "address_line2", "shipping address-line2": "address_line2",
+    "bday": "date_of_birth", "bday-day": "birth_day", "bday-month": "birth_month", "bday-year": "birth_year",
+    "tel-national": "phone", "section-x billing tel-national": "phone"
+  };
+  for (const [autocomplete, prop] of Object.entries(cases)) {
+    const r = m.map({ label: "Field", autocomplete });
+    assert.deepEqual([r.prop, r.phase, r.score], [prop, "autocomplete", 1.0], autocomplete);
+  }
+});
+
+test("split birthday inputs are filled from a learned date of birth", async () => {
+  const a = new V5.AutoFillAgentV5({ llm: V5.createLLMClient({ provider: "mock" }) });
+  a.learn({ "Date of birth": "10 December 1815" });
+  const ep = await a.autofill([
+    { id: "d", label: "Day", autocomplete: "bday-day" },
+    { id: "m", label: "Month", autocomplete: "bday-month" },
+    { id: "y", label: "Year", autocomplete: "bday-year" },
+    { id: "b", label: "Birthday", autocomplete: "bday" }
+  ], "general", false, { origin: ORIGIN });
+  assert.deepEqual(["d", "m", "y", "b"].map(id => ep.results[id].value), ["10", "12", "1815", "1815-12-10"]);
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./loadV5.js";
+
+const { GenerationValidator } = globalThis.AutoFillGraphV5GenerationValidator;
+const validator = new GenerationValidator();
+
+test("a phone is grounded only by digits within a single context item", () => {
+  const context = ["User zip code is 94103", "User phone is 555-010-0199"];
+  assert.equal(validator.validate("555-010-0199", "phone", context).verdict, "accept");
+  assert.equal(validator.validate("0355 501 0019", "phone", context).verdict, "reject");
+  assert.equal(validator.validate("(941) 035-5501", "phone", ["User zip code is 94103", "User phone is 5550100199"]).verdict, "reject");
+});
+
+test("an ISO date is grounded by the same date written out in the context", () => {
+  const context = ["User graduation date is May 15, 2024"];
+  const r = validator.validate("2024-05-15", "graduation_date", context);
+  assert.equal(r.verdict, "accept");
+  assert.equal(validator.validate("15th May 2024", "graduation_date", context).value, "2024-05-15");
+  assert.equal(validator.validate("2024-05-16", "graduation_date", context).verdict, "reject");
+});
+
+test("free text is downgraded when only partly grounded", () => {
+  const r = validator.validate("ada lovelace", "full_name", ["User full name is Ada Lovelace"]);
+  assert.equal(r.verdict, "accept");
+  assert.equal(validator.validate("Ada King", "full_name", ["User full name is Ada Lovelace"]).verdict, "downgrade");
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./loadV5.js";
+
+const { LLMProvider, LLMError } = globalThis.AutoFillGraphV5LLMClient;
+
+function flakyProvider(errors) {
+  const slept = [];
+  let now = 0;
+  const provider = new LLMProvider({
+    rateLimit: null, now: () => now, random: () => 1,
+    sleep: async ms => { slept.push(ms); now += ms; }
+  });
+  provider._send = async () => {
+    const err = errors.shift();
+    if (err) throw err;
+    return "ok";
+  };
+  return { provider, slept };
+}
+
+test("a short Retry-After is honoured between retries", async () => {
+  const { provider, slept } = flakyProvider([LLMError.fromStatus(429, "", "2")]);
+  assert.equal(await provider._post([], false), "ok");
+  assert.deepEqual(slept, [2000]);
+});
+
+test("a Retry-After beyond maxBackoffMs goes straight to the cooldown", async () => {
+  const { provider, slept } = flakyProvider([LLMError.fromStatus(429, "", "3600")]);
+  assert.equal(await provider._post([], false), "");
+  assert.deepEqual(slept, []);
+  assert.equal(provider.available(), false);
+  assert.equal(provider.stats().cooldownMs, 3600 * 1000);
+});
+
+test("a rate-limited connectivity test only cools the provider down", async () => {
+  const { provider } = flakyProvider([
+    LLMError.fromStatus(429, "", "60"), LLMError.fromStatus(429, "", "60")
+  ]);
+  provider._send = (send => async (...args) => {
+    const out = await send(...args);
+    return out === "ok" ? '{"ok": true}' : out;
+  })(provider._send);
+  provider.retry.retries = 0;
+
+  assert.equal(await provider.test(), false);
+  assert.equal(provider.available(), false);
+  provider._now = () => 61 * 1000;
+  assert.equal(provider.available(), true);
+  assert.equal(await provider.test(), false);
+  provider._now = () => 200 * 1000;
+  assert.equal(await provider.test(), true);
+  assert.equal(provider.available(), true);
+});
+
+test("an auth failure during the connectivity test disables the provider", async () => {
+  const { provider } = flakyProvider([LLMError.fromStatus(401, "bad key")]);
+  assert.equal(await provider.test(), false);
+  assert.equal(provider.available(), false);
+});
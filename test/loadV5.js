@@ -0,0 +1,12 @@
+// Loads lib/v5 in the load order documented in lib/v5/index.js (the same
+// order background_v5.js imports them) and returns the public API.
+import { readFileSync } from "node:fs";
+
+const dir = new URL("../lib/v5/", import.meta.url);
+const order = readFileSync(new URL("index.js", dir), "utf8")
+  .match(/\/\/\s+\d+\.\s+\S+\.js/g)
+  .map(line => line.split(/\s+/).pop());
+
+for (const file of order) await import(new URL(file, dir));
+
+export default globalThis.AutoFillGraphV5;
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./loadV5.js";
+
+const { OptionMatcher } = globalThis.AutoFillGraphV5OptionMatcher;
+const matcher = new OptionMatcher();
+const select = texts => ({ kind: "select", options: texts.map(t => ({ value: t, text: t })) });
+
+test("codes that mean different things stay within the option set's table", () => {
+  const states = select(["CA", "DE", "IN", "NY", "TX"]);
+  assert.equal(matcher.match("California", states).value, "CA");
+  assert.equal(matcher.match("Indiana", states).value, "IN");
+  assert.equal(matcher.match("Canada", states), null);
+  assert.equal(matcher.match("Germany", states), null);
+
+  const countries = select(["Canada", "Germany", "India", "United States"]);
+  assert.equal(matcher.match("CA", countries).value, "Canada");
+  assert.equal(matcher.match("de", countries).value, "Germany");
+  assert.equal(matcher.match("IN", countries).value, "India");
+  assert.equal(matcher.match("California", countries), null);
+});
+
+test("an ambiguous option set is resolved by the value", () => {
+  const codes = select(["CA", "DE", "IN"]);
+  assert.equal(matcher.match("Canada", codes).value, "CA");
+  assert.equal(matcher.match("Delaware", codes).value, "DE");
+});
+
+test("yes/no and degree levels still match by synonym", () => {
+  assert.equal(matcher.match("true", select(["Yes", "No"])).value, "Yes");
+  assert.equal(matcher.match("Master of Science in CS", select(["Bachelor's", "Master's", "PhD"])).value, "Master's");
+  assert.deepEqual(matcher.match("agree", { kind: "checkbox" }), { value: true, text: "checked", phase: "synonym" });
+});
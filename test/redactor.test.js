@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "./loadV5.js";
+
+const { Redactor, AuditLog } = globalThis.AutoFillGraphV5Redactor;
+const redactor = new Redactor();
+
+test("known secrets are redacted case-insensitively and counted by property", () => {
+  const r = redactor.redact("Allergic to Peanuts; PEANUTS again.", [{ prop: "allergies", value: "peanuts" }]);
+  assert.equal(r.text, "Allergic to [REDACTED:allergies]; [REDACTED:allergies] again.");
+  assert.deepEqual(r.hits, { allergies: 2 });
+});
+
+test("short secrets only match whole words", () => {
+  const secrets = [{ prop: "allergies", value: "nuts" }, { prop: "conditions", value: "none" }];
+  const r = redactor.redact("Donuts are nonetheless fine. Nuts: none.", secrets);
+  assert.equal(r.text, "Donuts are nonetheless fine. [REDACTED:allergies]: [REDACTED:conditions].");
+  assert.ok(!redactor.redact("Très gënial", [{ prop: "x", value: "nial" }]).text.includes("REDACTED"));
+});
+
+test("secrets shorter than three characters are ignored", () => {
+  assert.equal(redactor.redact("O+ blood", [{ prop: "blood_type", value: "O+" }]).text, "O+ blood");
+});
+
+test("longer secrets win over ones they contain", () => {
+  const r = redactor.redact("Lives at 12 Baker Street", [
+    { prop: "city", value: "Baker" }, { prop: "address", value: "12 Baker Street" }
+  ]);
+  assert.equal(r.text, "Lives at [REDACTED:address]");
+});
+
+test("patterns catch SSNs, Luhn-valid cards and keyword-introduced numbers", () => {
+  const r = redactor.redact(
+    "SSN 123-45-6789, card 4111 1111 1111 1111, not a card 4111 1111 1111 1112, passport number X1234567, account no. 12345678"
+  );
+  assert.equal(
+    r.text,
+    "SSN [REDACTED:SSN], card [REDACTED:CARD], not a card 4111 1111 1111 1112, passport number [REDACTED:PASSPORT], account no. [REDACTED:ACCOUNT]"
+  );
+  assert.ok(Redactor.isPlaceholder(r.text));
+});
+
+test("redactMessages sums hits and leaves roles alone", () => {
+  const { messages, hits } = redactor.redactMessages(
+    [{ role: "system", content: "ssn 123-45-6789" }, { role: "user", content: "again 123-45-6789" }]
+  );
+  assert.deepEqual(messages.map(m => m.role), ["system", "user"]);
+  assert.deepEqual(hits, { SSN: 2 });
+});
+
+test("the audit log keeps only the newest entries", () => {
+  const log = new AuditLog({}, { max: 2 });
+  for (const content of ["a", "b", "c"]) log.append({ messages: [{ role: "user", content }] });
+  assert.deepEqual(log.list().map(e => e.messages[0].content), ["c", "b"]);
+});
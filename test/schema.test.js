@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import V5 from "./loadV5.js";
+
+const { Schema } = V5;
+
+function accepts(prop, value, normalised = value) {
+  const r = Schema.validateValue(prop, value);
+  assert.equal(r.ok, true, `${prop} should accept ${JSON.stringify(value)}`);
+  assert.equal(r.value, normalised);
+}
+
+function rejects(prop, value) {
+  const r = Schema.validateValue(prop, value);
+  assert.equal(r.ok, false, `${prop} should reject ${JSON.stringify(value)}`);
+  assert.equal(r.reason, `invalid_${Schema.getPropertyType(prop)}`);
+}
+
+test("email, phone and url values are validated and normalised", () => {
+  accepts("email", "Ada@Example.ORG", "ada@example.org");
+  rejects("email", "+1 555 010 0199");
+  rejects("email", "n/a");
+  accepts("phone", "+1  (555) 010-0199", "+1 (555) 010-0199");
+  accepts("phone", "555-010-0199 ext. 42");
+  rejects("phone", "12345");
+  accepts("portfolio", "example.org/ada", "https://example.org/ada");
+});
+
+test("dates accept common forms and canonicalise unambiguous long ones", () => {
+  accepts("graduation_date", "2024-05");
+  accepts("graduation_date", "05/15/2024");
+  accepts("graduation_date", "May 2024");
+  accepts("graduation_date", "15th May 2024", "2024-05-15");
+  rejects("graduation_date", "soon");
+});
+
+test("numbers accept figures with the units and currencies people type", () => {
+  accepts("gpa", "3.8");
+  accepts("gpa", "3.8 / 4.0", "3.8/4.0");
+  accepts("gpa", "3.8 out of 4");
+  accepts("annual_income", "$85,000");
+  accepts("annual_income", "85k");
+  accepts("annual_income", "85,000  USD", "85,000 USD");
+  accepts("annual_income", "USD 85,000");
+  accepts("annual_income", "60k per year");
+  accepts("years_experience", "5 years");
+  accepts("years_experience", "2-3 yrs");
+  accepts("years_experience", "5+");
+  rejects("years_experience", "five");
+  rejects("annual_income", "3 Main Street");
+});
+
+test("enum values snap to their declared option", () => {
+  accepts("blood_type", "o positive", "O+");
+  rejects("blood_type", "purple");
+});
+
+test("text accepts anything non-empty", () => {
+  accepts("full_name", "  Ada Lovelace ", "Ada Lovelace");
+  rejects("full_name", "   ");
+});
+
+test("the KG refuses values that fail their type", () => {
+  const kg = new V5.TemporalKG();
+  assert.equal(kg.store("email", "not an email"), null);
+  assert.equal(kg.store("years_experience", "5 years").value, "5 years");
+  assert.deepEqual(kg.current(), { years_experience: "5 years" });
+});
+
+test("a custom property holding values cannot be downgraded to plaintext", async () => {
+  const agent = new V5.AutoFillAgentV5({ llm: V5.createLLMClient({ provider: "mock" }) });
+  agent.defineProperty("member_pin", { sensitivity: Schema.Sensitivity.ENCRYPTED });
+  agent.kg.store("member_pin", "4321");
+
+  assert.throws(() => agent.defineProperty("member_pin", {}), /sensitivity/);
+  assert.throws(() => agent.removeProperty("member_pin"), /sensitivity/);
+  assert.equal(Schema.getSensitivityForProperty("member_pin"), Schema.Sensitivity.ENCRYPTED);
+
+  await agent.unlock("pw");
+  assert.ok(!JSON.stringify(await agent.serialize()).includes("4321"));
+
+  agent.defineProperty("shoe_size", { sensitivity: Schema.Sensitivity.RESTRICTED });
+  assert.equal(agent.removeProperty("shoe_size"), true);
+});
+
+test("removing a custom layer re-indexes the mapper", () => {
+  const agent = new V5.AutoFillAgentV5({ llm: V5.createLLMClient({ provider: "mock" }) });
+  agent.defineLayer("hobbies");
+  agent.defineProperty("favourite_board_game", { layer: "hobbies" });
+  assert.ok(agent.mapper._propVecs.has("favourite_board_game"));
+  assert.equal(agent.removeProperty("favourite_board_game"), true);
+  assert.ok(!agent.mapper._propVecs.has("favourite_board_game"));
+  let rebuilt = 0;
+  agent._schemaChanged = () => { rebuilt++; };
+  assert.equal(agent.removeLayer("hobbies"), true);
+  assert.equal(rebuilt, 1);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import V5 from "./loadV5.js";
+
+const { AutoFillAgentV5, Utils } = V5;
+
+function agentWithOrphans(orphans, known = {}) {
+  const agent = new AutoFillAgentV5({ llm: V5.createLLMClient({ provider: "mock" }) });
+  agent.learn(known, "human");
+  for (const [label, value] of orphans) {
+    const key = Utils.canonicalId(label);
+    agent.kg.store(key, value, "human");
+    agent.mapper.learnMapping(label, key);
+  }
+  return agent;
+}
+
+test("unrelated yes/no questions are not clustered by their shared answer", () => {
+  const agent = agentWithOrphans([
+    ["Are you over 18?", "Yes"],
+    ["Willing to relocate for this role?", "Yes"]
+  ]);
+  const proposals = agent.schemaProposals();
+  assert.equal(proposals.length, 2);
+  assert.ok(proposals.every(p => p.members.length === 1 && p.action === "create"));
+});
+
+test("an equal value alone does not merge into an unrelated property", () => {
+  const agent = agentWithOrphans([["Favourite colour", "Ada Lovelace"]], { "Full Name": "Ada Lovelace" });
+  const [proposal] = agent.schemaProposals();
+  assert.equal(proposal.action, "create");
+  assert.equal(proposal.name, "favourite_colour");
+});
+
+test("reworded labels for the same question still cluster", () => {
+  const agent = agentWithOrphans([
+    ["What is your preferred pronoun?", "she/her"],
+    ["Preferred pronouns", "she/her"]
+  ]);
+  const [proposal] = agent.schemaProposals();
+  assert.deepEqual(proposal.members, ["preferred_pronouns", "what_is_your_preferred_pronoun"]);
+});
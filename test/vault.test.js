@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import V5 from "./loadV5.js";
+
+const { Vault, TemporalKG } = V5;
+const FAST = { iterations: 1000 };
+
+async function roundTrip(kg, vault) {
+  return TemporalKG.deserialize(JSON.parse(JSON.stringify(await kg.serialize(vault))));
+}
+
+test("vault rejects a wrong passphrase and encrypts only while unlocked", async () => {
+  const vault = new Vault(FAST);
+  assert.equal(await vault.unlock("correct horse"), true);
+  const env = await vault.encrypt("123-45-6789");
+  assert.ok(Vault.isEnvelope(env));
+  assert.equal(await vault.decrypt(env), "123-45-6789");
+
+  vault.lock();
+  await assert.rejects(() => vault.encrypt("x"), /locked/);
+
+  const restored = Vault.deserialize(vault.serialize());
+  assert.equal(await restored.unlock("wrong"), false);
+  assert.equal(await restored.unlock("correct horse"), true);
+  assert.equal(await restored.decrypt(env), "123-45-6789");
+});
+
+test("sensitive values are persisted only as envelopes", async () => {
+  const vault = new Vault(FAST);
+  await vault.unlock("pw");
+  const kg = new TemporalKG();
+  kg.store("full_name", "Ada Lovelace");
+  kg.store("ssn", "123-45-6789");
+
+  const blob = JSON.stringify(await kg.serialize(vault));
+  assert.ok(blob.includes("Ada Lovelace"));
+  assert.ok(!blob.includes("123-45-6789"));
+
+  const back = TemporalKG.deserialize(JSON.parse(blob));
+  assert.equal(back.current("ENCRYPTED").ssn, undefined);
+  await back.unseal(vault);
+  assert.equal(back.current("ENCRYPTED").ssn, "123-45-6789");
+});
+
+test("seal/unseal round-trips attribute and edge values in memory", async () => {
+  const vault = new Vault(FAST);
+  await vault.unlock("pw");
+  const kg = new TemporalKG();
+  kg.store("ssn", "123-45-6789");
+  const edge = () => kg._edges.find(e => e.prop === "ssn");
+
+  assert.equal(await kg.seal(vault), 1);
+  assert.equal(kg.current("ENCRYPTED").ssn, undefined);
+  assert.equal(edge().value, null);
+  assert.deepEqual(kg.sensitiveValues(), []);
+
+  assert.equal(await kg.unseal(vault), 1);
+  assert.equal(kg.current("ENCRYPTED").ssn, "123-45-6789");
+  assert.equal(edge().value, "123-45-6789");
+});
+
+test("unseal after a restart restores edge values too", async () => {
+  const vault = new Vault(FAST);
+  await vault.unlock("pw");
+  const kg = new TemporalKG();
+  kg.store("ssn", "123-45-6789");
+  const back = await roundTrip(kg, vault);
+  await back.unseal(vault);
+  assert.equal(back._edges.find(e => e.prop === "ssn").value, "123-45-6789");
+});
+
+test("a value learned while locked keeps its sealed predecessor current at rest", async () => {
+  const vault = new Vault(FAST);
+  await vault.unlock("pw");
+  const kg = new TemporalKG();
+  kg.store("ssn", "111-11-1111");
+  await kg.seal(vault);
+  vault.lock();
+
+  kg.store("ssn", "222-22-2222");
+  kg.store("ssn", "333-33-3333");
+  assert.equal(kg.current("ENCRYPTED").ssn, "333-33-3333");
+
+  const restarted = await roundTrip(kg, vault);
+  assert.ok(!JSON.stringify(await kg.serialize(vault)).includes("333-33-3333"));
+  await vault.unlock("pw");
+  await restarted.unseal(vault);
+  assert.equal(restarted.current("ENCRYPTED").ssn, "111-11-1111");
+
+  // Once unlocked, the new value is sealed and supersedes the old one
+  await kg.unseal(vault);
+  const saved = await roundTrip(kg, vault);
+  await saved.unseal(vault);
+  assert.equal(saved.current("ENCRYPTED").ssn, "333-33-3333");
+});
+
+test("re-learning the same value while locked changes nothing once unlocked", async () => {
+  const vault = new Vault(FAST);
+  await vault.unlock("pw");
+  const kg = new TemporalKG();
+  kg.store("passport_number", "X1234567");
+  await kg.seal(vault);
+  vault.lock();
+
+  kg.store("passport_number", "X1234567");
+  assert.equal(kg.current("ENCRYPTED").passport_number, "X1234567");
+  assert.equal(kg.history("passport_number").filter(a => a.sealed && a.is_current()).length, 1);
+
+  await vault.unlock("pw");
+  await kg.unseal(vault);
+  const history = kg.history("passport_number");
+  assert.equal(history.length, 1);
+  assert.equal(history[0].is_current(), true);
+  assert.equal(kg._edges.filter(e => e.prop === "passport_number").length, 1);
+});
+
+test("a different value learned while locked supersedes the sealed one on unlock", async () => {
+  const vault = new Vault(FAST);
+  await vault.unlock("pw");
+  const kg = new TemporalKG();
+  kg.store("passport_number", "X1234567");
+  await kg.seal(vault);
+  vault.lock();
+
+  kg.store("passport_number", "Y7654321");
+  await vault.unlock("pw");
+  await kg.unseal(vault);
+  const current = kg.history("passport_number").filter(a => a.is_current());
+  assert.deepEqual(current.map(a => a.value), ["Y7654321"]);
+  assert.equal(kg.history("passport_number").length, 2);
+});